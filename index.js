@@ -1,7 +1,46 @@
 'use strict'
 
+const crypto = require('crypto')
+const EventEmitter = require('events')
+const { performance } = require('perf_hooks')
+const { Readable, Writable, finished } = require('stream')
+const util = require('util')
+const zlib = require('zlib')
+
 const notFoundRegex = /notfound/i
+const finishedAsync = util.promisify(finished)
 const ltgtKeys = ['lt', 'gt', 'lte', 'gte', 'start', 'end']
+// Keys starting with this prefix are reserved for the expiry index
+const TTL_PREFIX = Buffer.from('!~ttl!')
+// Maximum number of expired keys deleted by one sweep
+const SWEEP_LIMIT = 1000
+// The binary export starts with the magic & a version byte
+const EXPORT_MAGIC = Buffer.from('ALVLDUMP')
+const EXPORT_VERSION = 1
+// Key length that marks the trailer of a binary export
+const EXPORT_END = 0xffffffff
+// Separates the index key & the primary key of an index entry
+const INDEX_SEPARATOR = Buffer.from([0x00])
+// Keys starting with this prefix are reserved for the secondary
+// indexes of the database & its sublevels
+const INDEX_PREFIX = Buffer.from('!~index~')
+// Header byte of compressed values. These bytes never start valid
+// UTF-8 so text & JSON values written without a header still read
+const COMPRESSION_HEADERS = {
+  none: 0xf5,
+  gzip: 0xf6,
+  deflate: 0xf7,
+  brotli: 0xf8
+}
+// Header byte of encrypted values & keys, after the compression
+// headers and also never the start of valid UTF-8
+const ENCRYPTION_HEADER = 0xf9
+const IV_LENGTH = 12
+const AUTH_TAG_LENGTH = 16
+// Upper bounds in ms of the buckets of the latency histograms
+const LATENCY_BUCKETS = [
+  0.1, 0.25, 0.5, 1, 2.5, 5, 10, 25, 50, 100, 250, 500, 1000, Infinity
+]
 
 class EncodingError extends Error {
   constructor (cause, prefix) {
@@ -28,6 +67,68 @@ class NotFoundError extends Error {
   }
 }
 
+class NotOpenError extends Error {
+  constructor (method, status) {
+    super(
+      'Database is not open: cannot call ' + method + '() while ' + status
+    )
+
+    this.name = 'NotOpenError'
+    this.type = 'async-level.not-open'
+    this.notOpen = true
+  }
+}
+
+class SnapshotReleasedError extends Error {
+  constructor (method) {
+    super('Snapshot is released: cannot call ' + method + '()')
+
+    this.name = 'SnapshotReleasedError'
+    this.type = 'async-level.snapshot-released'
+  }
+}
+
+class ConflictError extends Error {
+  constructor () {
+    super(
+      'Transaction conflict: a key read by the transaction was ' +
+      'written to before it committed'
+    )
+
+    this.name = 'ConflictError'
+    this.type = 'async-level.conflict'
+    this.conflict = true
+  }
+}
+
+class DecryptionError extends Error {
+  constructor (message) {
+    super('Decryption failed: ' + message)
+
+    this.name = 'DecryptionError'
+    this.type = 'async-level.decryption'
+  }
+}
+
+class ExportFormatError extends Error {
+  constructor (message) {
+    super('Invalid export: ' + message)
+
+    this.name = 'ExportFormatError'
+    this.type = 'async-level.export-format'
+  }
+}
+
+/**
+ * A key that is already encoded, returned from `db.prefix()` so
+ * that the range bounds are not encoded a second time.
+ */
+class EncodedKey {
+  constructor (value) {
+    this.value = value
+  }
+}
+
 class Result {
   constructor (err, data) {
     this.err = err
@@ -43,6 +144,14 @@ class BatchOp {
   }
 }
 
+class IteratorRequest {
+  constructor (method, resolve, size) {
+    this.method = method
+    this.resolve = resolve
+    this.size = size
+  }
+}
+
 class IteratorResult {
   constructor (done, value) {
     this.done = done
@@ -65,436 +174,4824 @@ class MultiKVPair {
 }
 
 /**
- * Small wrapper that adds Promise<{ err, data }> support
- * for leveldown
+ * A list of functions that are called in order. Used for
+ * `db.hooks.prewrite`.
  */
-class AsyncLevelDown {
-  constructor (db, options = {}) {
-    assert(db, 'db required')
-    this.leveldown = db
+class Hook {
+  constructor () {
+    this.fns = []
+  }
 
-    // Function to encode values
-    this.encode = options.encode || identity
-    // Function to decode values
-    this.decode = options.decode || identity
-    // Function to encode keys
-    this.keyEncode = options.keyEncode || identity
+  add (fn) {
+    assert(typeof fn === 'function', 'fn must be a function')
+    this.fns.push(fn)
+  }
 
-    if (options.keyEncoding) {
-      throw new Error('options.keyEncoding not supported')
-    }
-    if (options.valueEncoding && options.valueEncoding !== 'json') {
-      throw new Error('only valueEncoding: "json" is supported')
+  delete (fn) {
+    const index = this.fns.indexOf(fn)
+    if (index !== -1) {
+      this.fns.splice(index, 1)
     }
+  }
 
-    if (options.valueEncoding === 'JSON') {
-      this.encode = JSON.stringify
-      this.decode = JSON.parse
+  run (op, batch) {
+    for (const fn of this.fns) {
+      fn(op, batch)
     }
+  }
+}
 
-    this._isOpen = false
-    this._pendingEnsure = null
+/**
+ * Passed to prewrite hooks so they can add extra operations
+ * that are written together with the operation being hooked.
+ */
+class PrewriteBatch {
+  constructor () {
+    this.operations = []
   }
 
-  async ensure () {
-    assert(!this.closed, 'cannot ensure() after close()')
-    if (this._isOpen) return
-    if (this._pendingEnsure) return this._pendingEnsure
+  add (op) {
+    this.operations.push(op)
+    return this
+  }
+}
 
-    this._pendingEnsure = this._ensure()
-    const { err } = await this._pendingEnsure
-    this._pendingEnsure = null
+/**
+ * An operation that was called before the database was open
+ * while `deferredOpen` is enabled.
+ */
+class DeferredOperation {
+  constructor (fn, resolve) {
+    this.fn = fn
+    this.resolve = resolve
+  }
 
-    /**
-     * In this case just throw the error since no-one handles
-     * this error properly. If we do not throw we would have
-     * to check in effectively every method.
-     */
-    if (err) {
-      throw err
+  /**
+   * A queued operation that throws fails on its own instead of
+   * stopping the operations queued after it
+   */
+  run () {
+    let result
+    try {
+      result = this.fn()
+    } catch (err) {
+      result = new Result(err, null)
     }
+    this.resolve(result)
   }
 
-  async _ensure () {
-    assert(!this.closed, 'cannot _ensure() after close()')
-    const { err } = await this.open()
-    if (err) {
-      this.leveldown = null
-      return { err }
-    }
+  fail (err) {
+    this.resolve(new Result(err, null))
+  }
+}
 
-    this._isOpen = true
-    return {}
+class Codec {
+  constructor (type, encode, decode, buffer) {
+    this.type = type
+    this.encode = encode
+    this.decode = decode
+    // Whether decode() wants a Buffer; undefined means no preference
+    this.buffer = buffer
   }
+}
 
-  open () {
-    assert(!this.closed, 'cannot open() after close()')
-    return new Promise((resolve) => {
-      assert(!this.closed, 'cannot open() after close()')
-      this.leveldown.open((err) => {
-        resolve(new Result(err, null))
-      })
-    })
+const encodings = new Map()
+
+/**
+ * Per-key locks of a database and its sublevels. Keys are locked
+ * by their encoded bytes and every caller waits for the previous
+ * holders of any of its keys.
+ */
+class KeyLocks {
+  constructor () {
+    // Promise that resolves once the last holder is done, by key id
+    this._tails = new Map()
   }
 
-  clear (options) {
-    assert(!this.closed, 'cannot clear() after close()')
-    const copyOpts = {}
-    for (const k of Object.keys(options)) {
-      copyOpts[k] = ltgtKeys.includes(k)
-        ? this.keyEncode(options[k]) : options[k]
+  async run (ids, fn) {
+    let release
+    const done = new Promise((resolve) => {
+      release = resolve
+    })
+
+    // All keys are queued at once so callers cannot deadlock
+    const waits = []
+    for (const id of new Set(ids)) {
+      const tail = this._tails.get(id)
+      if (tail) waits.push(tail)
+      this._tails.set(id, done)
     }
 
-    return new Promise((resolve) => {
-      assert(!this.closed, 'cannot clear() after close()')
-      this.leveldown.clear(copyOpts, (err) => {
-        resolve(new Result(err, null))
-      })
-    })
+    await Promise.all(waits)
+    try {
+      return await fn()
+    } finally {
+      release()
+      for (const id of ids) {
+        if (this._tails.get(id) === done) this._tails.delete(id)
+      }
+    }
   }
+}
 
-  close () {
-    assert(!this.closed, 'cannot close() after close()')
-    this.closed = true
-    return new Promise((resolve) => {
-      this.leveldown.close((err) => {
-        resolve(new Result(err, null))
-      })
-    })
+/**
+ * Tracks the leveldown writes of a database and its sublevels so
+ * that transactions can detect writes to the keys they read. Keys
+ * are compared by their encoded bytes.
+ */
+class WriteTracker {
+  constructor () {
+    this.transactions = new Set()
+    // Number of writes in progress by key id
+    this._pending = new Map()
+    // Ranges of clear() calls in progress
+    this._pendingClears = []
   }
 
-  put (key, value, options) {
-    assert(!this.closed, 'cannot put() after close()')
-    const encodedKey = this.keyEncode(key)
+  start (keys) {
+    const ids = keys.map(keyId)
+    for (const id of ids) {
+      this._pending.set(id, (this._pending.get(id) || 0) + 1)
+    }
+    return ids
+  }
 
-    return new Promise((resolve) => {
-      let rawValue
-      try {
-        rawValue = this.encode(value)
-      } catch (err) {
-        const encErr = new EncodingError(err, 'encode in put(): ')
-        return resolve(new Result(encErr, null))
+  finish (ids) {
+    for (const id of ids) {
+      const count = this._pending.get(id) - 1
+      if (count === 0) {
+        this._pending.delete(id)
+      } else {
+        this._pending.set(id, count)
       }
 
-      assert(!this.closed, 'cannot put() after close()')
-      this.leveldown.put(
-        encodedKey, rawValue, options || null,
-        (err) => {
-          resolve(new Result(err, null))
-        }
-      )
-    })
+      for (const tx of this.transactions) {
+        if (tx._reads.has(id)) tx.conflicted = true
+      }
+    }
   }
 
-  get (key, options) {
-    assert(!this.closed, 'cannot get() after close()')
-    const encodedKey = this.keyEncode(key)
-    return new Promise((resolve) => {
-      assert(!this.closed, 'cannot get() after close()')
-      this.leveldown.get(
-        encodedKey, options || null,
-        (err, value) => {
-          if (err) {
-            if (notFoundRegex.test(err.message)) {
-              const notFoundErr = new NotFoundError(
-                'Key not found in database [' + key + ']'
-              )
-              return resolve(new Result(notFoundErr, null))
-            }
+  startClear (range) {
+    this._pendingClears.push(range)
+  }
 
-            return resolve(new Result(err, null))
-          }
+  finishClear (range) {
+    this._pendingClears.splice(this._pendingClears.indexOf(range), 1)
+    for (const tx of this.transactions) {
+      for (const key of tx._reads.values()) {
+        if (inRange(key, range)) tx.conflicted = true
+      }
+    }
+  }
 
-          let decoded
-          try {
-            decoded = this.decode(value)
-          } catch (err) {
-            const encErr = new EncodingError(err, 'decode in get(): ')
-            resolve(new Result(encErr, null))
-          }
+  /**
+   * Whether a write to one of the `reads` of a transaction is
+   * still in progress
+   */
+  isPending (reads) {
+    for (const [id, key] of reads) {
+      if (this._pending.has(id)) return true
+      for (const range of this._pendingClears) {
+        if (inRange(key, range)) return true
+      }
+    }
+    return false
+  }
+}
 
-          resolve(new Result(null, decoded))
-        }
-      )
-    })
+/**
+ * The hidden index of the keys that were written with a `ttl`,
+ * shared by a database and its sublevels. For every such key it
+ * stores `!~ttl!k!<key>` with the expiry time for reads and
+ * `!~ttl!e!<expiry><key>` which the sweeper reads in expiry order.
+ *
+ * Reads only check the index once it is `active`, which is when
+ * a key with a `ttl` is written or `open()` finds an index.
+ */
+class ExpiryIndex {
+  constructor () {
+    this.active = false
+    this._metaPrefix = Buffer.concat([TTL_PREFIX, Buffer.from('k!')])
+    this._sweepPrefix = Buffer.concat([TTL_PREFIX, Buffer.from('e!')])
   }
 
-  del (key, options) {
-    assert(!this.closed, 'cannot del() after close()')
-    const encodedKey = this.keyEncode(key)
-    return new Promise((resolve) => {
-      assert(!this.closed, 'cannot del() after close()')
-      this.leveldown.del(encodedKey, options || null, (err) => {
-        resolve(new Result(err, null))
-      })
+  async load (leveldown) {
+    const { err, data } = await readKeys(leveldown, {
+      gte: TTL_PREFIX,
+      lt: incrementKey(TTL_PREFIX),
+      limit: 1
     })
+    this.active = this.active || Boolean(err) || data.length > 0
   }
 
-  iterator (options) {
-    assert(!this.closed, 'cannot iterator() after close()')
-    const copyOpts = {}
-    for (const k of Object.keys(options)) {
-      copyOpts[k] = ltgtKeys.includes(k)
-        ? this.keyEncode(options[k]) : options[k]
+  metaKey (key) {
+    return Buffer.concat([this._metaPrefix, toBuffer(key)])
+  }
+
+  sweepKey (expiry, key) {
+    const time = Buffer.from(expiry.toString(16).padStart(16, '0'))
+    return Buffer.concat([this._sweepPrefix, time, toBuffer(key)])
+  }
+
+  /**
+   * The range of `sweepKey()`s that expired at `now`
+   */
+  sweepRange (now) {
+    return {
+      gte: this._sweepPrefix,
+      lt: this.sweepKey(now + 1, Buffer.alloc(0)),
+      limit: SWEEP_LIMIT
     }
+  }
 
-    const rawItr = this.leveldown.iterator(copyOpts)
-    return new LevelAsyncIterator(rawItr, this.decode, this)
+  parseSweepKey (sweepKey) {
+    const start = this._sweepPrefix.length
+    const time = sweepKey.slice(start, start + 16).toString()
+    return new ExpiryEntry(parseInt(time, 16), sweepKey.slice(start + 16))
   }
 
-  batch (operations, options) {
-    assert(!this.closed, 'cannot batch() after close()')
-    return new Promise((resolve) => {
-      const rawOperations = new Array(operations.length)
-      for (let i = 0; i < operations.length; i++) {
-        const op = operations[i]
-        let encodedValue
-        try {
-          encodedValue = this.encode(op.value)
-        } catch (err) {
-          const encErr = new EncodingError(err, 'encode in batch(): ')
-          return resolve(new Result(encErr, null))
-        }
+  /**
+   * Returns the raw operations that update the index when writing
+   * `key`. A put with a `ttl` adds the key to the index, any other
+   * write removes it.
+   */
+  operations (type, key, ttl) {
+    if (type === 'put' && ttl !== undefined) {
+      assert(typeof ttl === 'number' && ttl > 0,
+        'ttl must be a positive number')
 
-        const encodedKey = this.keyEncode(op.key)
-        rawOperations[i] = new BatchOp(
-          op.type, encodedKey, encodedValue
-        )
-      }
+      this.active = true
+      const expiry = Date.now() + ttl
+      return [
+        new BatchOp('put', this.metaKey(key), String(expiry)),
+        new BatchOp('put', this.sweepKey(expiry, key), '')
+      ]
+    }
 
-      assert(!this.closed, 'cannot batch() after close()')
-      this.leveldown.batch(
-        rawOperations, options || null, (err) => {
-          resolve(new Result(err, null))
-        }
-      )
-    })
+    if (!this.active) return []
+    return [new BatchOp('del', this.metaKey(key), undefined)]
+  }
+
+  isExpired (meta, now) {
+    return meta !== undefined && Number(meta.toString()) <= now
+  }
+
+  isHidden (key) {
+    return hasPrefix(key, TTL_PREFIX)
+  }
+}
+
+class ExpiryEntry {
+  constructor (expiry, key) {
+    this.expiry = expiry
+    this.key = key
   }
 }
 
 /**
- * The underlying implementation of `leveldown` has a "feature"
- *    where the first call to `next()` ignores the HighWatermark
- *    and the `iterator.cache` functionality.
- *
- * This variable `landed` get's reset every time you call
- *    seek() on the iterator. It's meant to allow you
- *    to read only one value at a time when calling `seek()`
- *    instead of filling up the higherwatermark.
+ * A secondary index of `owner`, created by `db.createIndex()`.
  *
- * For our use case when not doing seeking and just reading
- *    all values for a given range query we want to basically
- *    do two calls to `next()` in `batchNext()` for the very
- *    first time so that we can batch read upto the
- *    `HighWaterMark` or upto 1000 key/value pairs.
+ * Every index key of a record is stored as an entry
+ * `indexKey 0x00 primaryKey` with the primary key as value, in a
+ * keyspace of the root under `INDEX_PREFIX`. Keys are the encoded
+ * bytes relative to `owner`, so index keys cannot contain a 0x00
+ * byte.
  */
-class LevelAsyncIterator {
-  constructor (levelDownItr, decode, asyncLevel) {
-    assert(asyncLevel, 'asyncLevel required')
-    this._iterator = levelDownItr
-    this._landed = false
-    this.asyncLevel = asyncLevel
+class SecondaryIndex {
+  constructor (owner, name, fn, options) {
+    this.owner = owner
+    this.name = name
+    this.fn = fn
+    this.keyCodec = getEncoding(options.keyEncoding || 'utf8')
 
-    this.decode = decode
-    this.finished = false
-    this.pendingNext = false
+    // The store is `!~index~<depth>!` followed by the sublevel names
+    // of `owner` & the index name, the depth keeps the keyspace of
+    // an index from containing the keyspaces of other indexes
+    const names = [name]
+    let root = owner
+    while (root.parent) {
+      names.unshift(root.name)
+      root = root.parent
+    }
+    const storeOptions = { keyEncoding: 'binary', valueEncoding: 'binary' }
+    let store = root.sublevel('~index~' + (names.length - 1), storeOptions)
+    for (const storeName of names) {
+      store = store.sublevel(storeName, storeOptions)
+    }
+    this.store = store
+    this._prefixLength = Buffer.byteLength(owner.keyPrefix || '')
   }
 
   /**
-   * TODO: Support parallel iteration.
-   * This class has a lot of simplification in it based on the
-   * assumption that the consumer will only call `next()`
-   * sequentially.
-   *
-   * See https://github.com/nodejs/node/blob/master/lib/internal/streams/async_iterator.js
+   * Reads the records of one index key, see `db.index(name)`
    */
-  next () {
-    assert(!this.asyncLevel.closed, 'cannot next() after close()')
-    if (this.pendingNext) {
-      throw new Error(
-        'It is not safe to call Iterator.next() concurrently'
-      )
+  get (indexKey) {
+    return this.iterator({ gte: indexKey, lte: indexKey }).all()
+  }
+
+  iterator (options) {
+    return new LevelAsyncIndexIterator(this, options)
+  }
+
+  /**
+   * Replaces every entry of the index with the entries of a full
+   * scan of the records. `data` is the number of records indexed.
+   * Keys that start with a `!name!` prefix belong to sublevels of
+   * `owner`, or to the hidden keyspaces of the root, and are skipped.
+   */
+  async rebuild () {
+    const cleared = await this.store.clear()
+    if (cleared.err) {
+      return new Result(cleared.err, null)
     }
-    this.pendingNext = true
-    return new Promise((resolve) => {
-      if (this.finished) {
-        this.pendingNext = false
-        return resolve(new IteratorResult(true, null))
+
+    const itr = this.owner.iterator({
+      keyEncoding: 'binary', valueEncoding: 'binary'
+    })
+    let count = 0
+    while (true) {
+      const { done, value } = await itr.batchNext()
+      if (done) break
+      if (value.err) {
+        return new Result(value.err, null)
       }
 
-      assert(!this.asyncLevel.closed, 'cannot next() after close()')
-      this._iterator.next((err, key, value) => {
-        this.pendingNext = false
-        if (err) {
-          this._finish(resolve, err)
-          return
-        }
+      const operations = []
+      const { keys, values } = value.data
+      for (let i = 0; i < keys.length; i++) {
+        if (sublevelPrefixLength(keys[i]) > 0) continue
 
-        if (key === undefined && value === undefined) {
-          this._finish(resolve, null)
-          return
+        let indexKeys
+        try {
+          indexKeys = this._indexKeys(keys[i], values[i])
+        } catch (err) {
+          await itr.close()
+          return new Result(err, null)
         }
-
-        let decoded = null
-        if (value !== null) {
-          try {
-            decoded = this.decode(value)
-          } catch (err) {
-            const encErr = new EncodingError(err, 'decode in next(): ')
-            this._finish(resolve, encErr)
-            return
-          }
+        for (const indexKey of indexKeys) {
+          operations.push({
+            type: 'put',
+            key: Buffer.concat([indexKey, INDEX_SEPARATOR, keys[i]]),
+            value: keys[i]
+          })
         }
+        count++
+      }
 
-        resolve(new IteratorResult(
-          false,
-          new Result(null, new KVPair(key, decoded))
-        ))
-      })
-    })
+      const { err } = await this.store.batch(operations)
+      if (err) {
+        await itr.close()
+        return new Result(err, null)
+      }
+    }
+    return new Result(null, count)
   }
 
-  _batchNext (cb) {
-    const self = this
-    const keys = []
-    const values = []
-
-    assert(!this.asyncLevel.closed, 'cannot batchNext() after close()')
-    self._iterator.next(onNext)
+  /**
+   * Returns the raw operations that replace the entries of the
+   * record `rawKey` with old value `oldValue` by the entries of
+   * `newValue`. Values are Buffers or `undefined` for no record.
+   */
+  operations (rawKey, oldValue, newValue) {
+    const key = toBuffer(rawKey).slice(this._prefixLength)
+    const newKeys = this._indexKeys(key, newValue)
+    const kept = new Set(newKeys.map(keyId))
 
-    function onNext (err, key, value) {
-      if (err) {
-        return cb(err)
-      }
+    const operations = []
+    for (const indexKey of this._indexKeys(key, oldValue)) {
+      if (kept.has(keyId(indexKey))) continue
+      operations.push(new BatchOp(
+        'del', this._entryKey(indexKey, key), undefined
+      ))
+    }
+    for (const indexKey of newKeys) {
+      operations.push(new BatchOp('put', this._entryKey(indexKey, key), key))
+    }
+    return operations
+  }
 
-      if (key === undefined && value === undefined) {
-        if (keys.length > 0 || values.length > 0) {
-          cb(null, keys, values)
-        } else {
-          cb()
-        }
-        return
-      }
+  /**
+   * Resolves index entries to the records they point to. Entries
+   * of records that were deleted or no longer have the index key,
+   * e.g. after a range `clear()`, are skipped.
+   */
+  async _resolve (entryKeys, primaryKeys) {
+    const { err, data } = await this.owner.getMany(
+      primaryKeys.map((key) => new EncodedKey(key))
+    )
+    if (err) {
+      return new Result(err, null)
+    }
 
-      keys.push(key)
-      values.push(value)
+    const entries = []
+    for (let i = 0; i < entryKeys.length; i++) {
+      if (data[i] === undefined) continue
 
-      let cache
-      if (typeof self._iterator.getCache === 'function') {
-        cache = self._iterator.getCache()
-      } else {
-        cache = self._iterator.cache
-      }
-      if (!cache) {
-        throw new Error('LevelDown does not have cache array')
+      const indexKey = entryKeys[i].slice(
+        0, entryKeys[i].length - primaryKeys[i].length - 1
+      )
+      let key, indexKeys
+      try {
+        key = decodeRaw(this.owner._getKeyCodec(null), primaryKeys[i])
+        indexKeys = this._keysOf(key, data[i])
+      } catch (err) {
+        return new Result(err, null)
       }
+      if (!indexKeys.some((k) => k.equals(indexKey))) continue
 
-      if (!self._landed) {
-        self._landed = true
-        if (cache.length === 0) {
-          assert(!self.asyncLevel.closed, 'cannot next() after close()')
-          return self._iterator.next(onNext)
-        }
-      }
+      entries.push(new IndexEntry(
+        decodeRaw(this.keyCodec, indexKey), key, data[i]
+      ))
+    }
+    return new Result(null, entries)
+  }
 
-      for (let i = cache.length - 1; i >= 0; i -= 2) {
-        keys.push(cache[i])
-        values.push(cache[i - 1])
+  _encodeRange (options) {
+    const copyOpts = {}
+    for (const k of Object.keys(options || {})) {
+      assert(k !== 'start' && k !== 'end', 'use gt, gte, lt or lte')
+      if (!ltgtKeys.includes(k)) {
+        copyOpts[k] = options[k]
+        continue
       }
-      cache.length = 0
-      cb(null, keys, values)
+
+      // Every entry of an index key sorts between `key 0x00` and
+      // `key 0x01` as index keys cannot contain a 0x00 byte
+      const bound = toBuffer(this.keyCodec.encode(options[k]))
+      const edge = Buffer.from([k === 'gt' || k === 'lte' ? 0x01 : 0x00])
+      copyOpts[k.startsWith('g') ? 'gte' : 'lt'] = Buffer.concat([
+        bound, edge
+      ])
+    }
+    return copyOpts
+  }
+
+  _indexKeys (key, rawValue) {
+    if (rawValue === undefined) return []
+
+    let decodedKey, value
+    try {
+      decodedKey = decodeRaw(this.owner._getKeyCodec(null), key)
+      value = decodeRaw(this.owner._getValueCodec(null), rawValue)
+    } catch (err) {
+      throw decodeError(err, 'decode in index ' + this.name + ': ')
     }
+    return this._keysOf(decodedKey, value)
   }
 
   /**
-   * This relies on the internals of `leveldown`. It will throw
-   * an exception if leveldown does not support the use case.
+   * Calls `fn` and returns the encoded index keys of a record
    */
-  batchNext () {
-    assert(!this.asyncLevel.closed, 'cannot batchNext() after close()')
-    if (this.pendingNext) {
-      throw new Error(
-        'It is not safe to call Iterator.batchNext() concurrently'
-      )
+  _keysOf (key, value) {
+    let indexKeys = this.fn(key, value)
+    if (indexKeys === undefined || indexKeys === null) return []
+    if (!Array.isArray(indexKeys)) indexKeys = [indexKeys]
+
+    return indexKeys.map((indexKey) => {
+      const encoded = toBuffer(this.keyCodec.encode(indexKey))
+      assert(!encoded.includes(0x00), 'index keys cannot contain 0x00')
+      return encoded
+    })
+  }
+
+  _entryKey (indexKey, key) {
+    return this.store._encodeKey(
+      Buffer.concat([indexKey, INDEX_SEPARATOR, key])
+    )
+  }
+}
+
+class IndexEntry {
+  constructor (indexKey, key, value) {
+    this.indexKey = indexKey
+    this.key = key
+    this.value = value
+  }
+}
+
+/**
+ * A put or del written to a database with secondary indexes
+ */
+class IndexedWrite {
+  constructor (indexes, rawOp) {
+    this.indexes = indexes
+    this.rawOp = rawOp
+  }
+}
+
+/**
+ * LRU cache of decoded values read by `get()`, shared with
+ * sublevels. Entries are keyed by the encoded key and only used by
+ * reads with the same codec & `asBuffer` option.
+ *
+ * Every write bumps `generation`; a read only fills the cache if no
+ * write finished while it was reading so that it never caches a
+ * value that was already overwritten.
+ */
+class ValueCache {
+  constructor (options) {
+    this.maxEntries = options.maxEntries || Infinity
+    this.maxBytes = options.maxBytes || Infinity
+    this.negative = Boolean(options.negative)
+    this.generation = 0
+    this.bytes = 0
+
+    this.hits = 0
+    this.misses = 0
+    this.evictions = 0
+    this._entries = new Map()
+  }
+
+  get (key, codec, asBuffer) {
+    const id = keyId(key)
+    const entry = this._entries.get(id)
+    if (!entry || entry.codec !== codec || entry.asBuffer !== asBuffer) {
+      this.misses++
+      return null
     }
-    this.pendingNext = true
-    return new Promise((resolve) => {
-      if (this.finished) {
-        this.pendingNext = false
-        return resolve(new IteratorResult(true, null))
-      }
 
-      this._batchNext((err, keys, values) => {
-        this.pendingNext = false
-        if (err) {
-          this._finish(resolve, err)
-          return
-        }
+    // Map keeps insertion order so the first entry is the oldest
+    this._entries.delete(id)
+    this._entries.set(id, entry)
+    this.hits++
+    return entry
+  }
 
-        if (keys === undefined && values === undefined) {
-          this._finish(resolve, null)
-          return
-        }
+  set (generation, entry) {
+    if (generation !== this.generation) return
+    if (!entry.found && !this.negative) return
+    if (entry.size > this.maxBytes) return
 
-        const decodedValues = []
-        for (const value of values) {
-          let decoded
-          try {
-            decoded = this.decode(value)
-          } catch (err) {
-            const encErr = new EncodingError(err, 'decode in batchNext(): ')
-            this._finish(resolve, encErr)
-            return
-          }
-          decodedValues.push(decoded)
-        }
+    this._remove(keyId(entry.key))
+    this._entries.set(keyId(entry.key), entry)
+    this.bytes += entry.size
+    while (this._entries.size > this.maxEntries ||
+      this.bytes > this.maxBytes
+    ) {
+      this._remove(this._entries.keys().next().value)
+      this.evictions++
+    }
+  }
 
-        resolve(new IteratorResult(
-          false,
-          new Result(null, new MultiKVPair(keys, decodedValues))
-        ))
-      })
-    })
+  delete (keys) {
+    this.generation++
+    for (const key of keys) this._remove(keyId(key))
   }
 
-  _finish (nextResolve, err) {
-    if (this.finished) {
-      return onFinish(null)
+  deleteRange (range) {
+    this.generation++
+    for (const [id, entry] of this._entries) {
+      if (inRange(entry.key, range)) this._remove(id)
     }
+  }
 
-    this.finished = true
-    assert(!this.asyncLevel.closed, 'cannot _finish() after close()')
-    this._iterator.end(onFinish)
+  clear () {
+    this.generation++
+    this._entries.clear()
+    this.bytes = 0
+  }
 
-    function onFinish (finishErr) {
-      if (err || finishErr) {
-        return nextResolve(new IteratorResult(
-          false, new Result(err || finishErr, null)
-        ))
+  stats () {
+    return new CacheStats(
+      this.hits, this.misses, this.evictions,
+      this._entries.size, this.bytes
+    )
+  }
+
+  _remove (id) {
+    const entry = this._entries.get(id)
+    if (!entry) return
+    this._entries.delete(id)
+    this.bytes -= entry.size
+  }
+}
+
+class CacheEntry {
+  constructor (key, codec, asBuffer, found, value, size) {
+    this.key = toBuffer(key)
+    this.codec = codec
+    this.asBuffer = asBuffer
+    // `false` for a cached NotFoundError
+    this.found = found
+    this.value = value
+    // Bytes of the encoded key & value, counted for `maxBytes`
+    this.size = size
+  }
+}
+
+class CacheStats {
+  constructor (hits, misses, evictions, entries, bytes) {
+    this.hits = hits
+    this.misses = misses
+    this.evictions = evictions
+    this.entries = entries
+    this.bytes = bytes
+  }
+}
+
+/**
+ * Compresses encoded values of at least `threshold` bytes for the
+ * `compression` option. Every value gets a header byte, see
+ * `COMPRESSION_HEADERS`; values without one are read as they are.
+ */
+class CompressionTransform {
+  constructor (options) {
+    this.algorithm = options.algorithm || 'gzip'
+    assert(
+      this.algorithm !== 'none' && this.algorithm in COMPRESSION_HEADERS,
+      'compression.algorithm must be gzip, brotli or deflate'
+    )
+    this.threshold = options.threshold === undefined
+      ? 1024 : options.threshold
+  }
+
+  encode (buf) {
+    if (buf.length >= this.threshold) {
+      const compressed = compress(this.algorithm, buf)
+      // Values that do not shrink are stored uncompressed
+      if (compressed.length < buf.length) {
+        return withHeader(COMPRESSION_HEADERS[this.algorithm], compressed)
       }
+    }
+    return withHeader(COMPRESSION_HEADERS.none, buf)
+  }
 
-      return nextResolve(new IteratorResult(true, null))
+  decode (buf) {
+    const body = buf.slice(1)
+    switch (buf[0]) {
+      case COMPRESSION_HEADERS.none: return body
+      case COMPRESSION_HEADERS.gzip: return zlib.gunzipSync(body)
+      case COMPRESSION_HEADERS.deflate: return zlib.inflateSync(body)
+      case COMPRESSION_HEADERS.brotli: return zlib.brotliDecompressSync(body)
+      default: return buf
     }
   }
+}
 
-  [Symbol.asyncIterator] () {
-    return this
+/**
+ * Encrypts encoded values, or keys, with AES-256-GCM for the
+ * `encryption` option. The format is the header byte, the length of
+ * the key id, the key id, the IV, the auth tag and the ciphertext.
+ *
+ * Values get a random IV. Keys have to encrypt to the same bytes
+ * every time so their IV is derived from the key with an HMAC.
+ */
+class EncryptionTransform {
+  constructor (options, deterministic) {
+    assert(options.keys && typeof options.keys === 'object',
+      'encryption.keys must be an object of key ids to keys')
+    this.keys = new Map()
+    for (const id of Object.keys(options.keys)) {
+      const key = options.keys[id]
+      const idLength = Buffer.byteLength(id)
+      assert(idLength > 0 && idLength < 256,
+        'encryption key ids must be 1 to 255 bytes')
+      assert(Buffer.isBuffer(key) && key.length === 32,
+        'encryption keys must be 32 byte Buffers')
+      this.keys.set(id, key)
+    }
+
+    this.keyId = options.keyId
+    assert(this.keys.has(this.keyId), 'encryption.keyId must be in keys')
+    this.allowUnencrypted = Boolean(options.allowUnencrypted)
+    this.deterministic = deterministic
+    this._ivKey = deterministic
+      ? crypto.createHmac('sha256', this.keys.get(this.keyId))
+        .update('async-level key iv').digest()
+      : null
   }
 
-  async close () {
-    assert(!this.asyncLevel.closed, 'cannot close() after close()')
-    return new Promise((resolve) => {
-      this._finish((result) => {
-        const v = result.value
-        resolve(new Result(v && v.err ? v.err : null, null))
-      }, null)
-    })
+  encode (buf) {
+    const iv = this.deterministic
+      ? crypto.createHmac('sha256', this._ivKey).update(buf).digest()
+        .slice(0, IV_LENGTH)
+      : crypto.randomBytes(IV_LENGTH)
+    const cipher = crypto.createCipheriv(
+      'aes-256-gcm', this.keys.get(this.keyId), iv
+    )
+    const ciphertext = Buffer.concat([cipher.update(buf), cipher.final()])
+    const id = Buffer.from(this.keyId)
+    return Buffer.concat([
+      Buffer.from([ENCRYPTION_HEADER, id.length]), id,
+      iv, cipher.getAuthTag(), ciphertext
+    ])
+  }
+
+  decode (buf) {
+    if (buf[0] !== ENCRYPTION_HEADER) {
+      if (this.allowUnencrypted) return buf
+      throw new DecryptionError('data is not encrypted')
+    }
+
+    const ivStart = 2 + buf[1]
+    const tagStart = ivStart + IV_LENGTH
+    const dataStart = tagStart + AUTH_TAG_LENGTH
+    if (buf.length < dataStart) {
+      throw new DecryptionError('data is truncated')
+    }
+    const id = buf.slice(2, ivStart).toString()
+    const key = this.keys.get(id)
+    if (!key) {
+      throw new DecryptionError('unknown key id ' + id)
+    }
+
+    const decipher = crypto.createDecipheriv(
+      'aes-256-gcm', key, buf.slice(ivStart, tagStart)
+    )
+    decipher.setAuthTag(buf.slice(tagStart, dataStart))
+    try {
+      return Buffer.concat([
+        decipher.update(buf.slice(dataStart)), decipher.final()
+      ])
+    } catch (err) {
+      throw new DecryptionError('authentication failed')
+    }
   }
 }
 
-module.exports = AsyncLevelDown
+/**
+ * Applies `transform` to the part of a key after its sublevel
+ * prefixes, so the root database reads & writes the keys of its
+ * sublevels like a sublevel does.
+ */
+class PrefixedKeyTransform {
+  constructor (transform) {
+    this.transform = transform
+  }
 
-function identity (x) { return x }
+  encode (buf) {
+    const length = sublevelPrefixLength(buf)
+    if (length === 0) return this.transform.encode(buf)
+    return Buffer.concat([
+      buf.slice(0, length), this.transform.encode(buf.slice(length))
+    ])
+  }
+
+  decode (buf) {
+    const length = sublevelPrefixLength(buf)
+    if (length === 0) return this.transform.decode(buf)
+    return Buffer.concat([
+      buf.slice(0, length), this.transform.decode(buf.slice(length))
+    ])
+  }
+}
+
+/**
+ * Collects the metrics of a database & reports every operation to
+ * `onOperation` and the diagnostics channel. Shared with sublevels.
+ */
+class Instrumentation {
+  constructor (options) {
+    this.metrics = options.metrics ? new Metrics() : null
+    this.onOperation = options.onOperation || null
+
+    const name = options.diagnosticsChannel
+    this.channel = name
+      ? loadDiagnosticsChannel().channel(
+        typeof name === 'string' ? name : 'async-level:operation'
+      )
+      : null
+  }
+
+  record (op, key, durationMs, err) {
+    if (this.metrics) this.metrics.record(op, durationMs, err)
+
+    const publish = this.channel !== null && this.channel.hasSubscribers
+    if (!this.onOperation && !publish) return
+
+    const event = new OperationEvent(op, key, durationMs, err)
+    if (this.onOperation) {
+      // A failing tracer must not fail the operation it traces
+      try {
+        this.onOperation(event)
+      } catch (_) {}
+    }
+    if (publish) this.channel.publish(event)
+  }
+}
+
+class OperationEvent {
+  constructor (op, key, durationMs, err) {
+    this.op = op
+    this.key = key
+    this.durationMs = durationMs
+    this.err = err
+  }
+}
+
+class Metrics {
+  constructor () {
+    // Counters & latency histogram by operation name
+    this.operations = new Map()
+    // Number of errors by `err.type`
+    this.errors = new Map()
+    this.bytesEncoded = 0
+    this.bytesDecoded = 0
+  }
+
+  record (op, durationMs, err) {
+    let stats = this.operations.get(op)
+    if (!stats) {
+      stats = new OperationMetrics()
+      this.operations.set(op, stats)
+    }
+
+    stats.count++
+    stats.latency.record(durationMs)
+    if (err) {
+      stats.errors++
+      const type = err.type || 'unknown'
+      this.errors.set(type, (this.errors.get(type) || 0) + 1)
+    }
+  }
+
+  snapshot () {
+    const operations = {}
+    for (const [op, stats] of this.operations) {
+      operations[op] = new OperationStats(
+        stats.count, stats.errors, stats.latency.snapshot()
+      )
+    }
+    return new MetricsSnapshot(
+      operations, mapToObject(this.errors),
+      this.bytesEncoded, this.bytesDecoded
+    )
+  }
+}
+
+class OperationMetrics {
+  constructor () {
+    this.count = 0
+    this.errors = 0
+    this.latency = new LatencyHistogram()
+  }
+}
+
+/**
+ * Counts durations in the fixed `LATENCY_BUCKETS`. Percentiles are
+ * estimated as the upper bound of the bucket they fall into.
+ */
+class LatencyHistogram {
+  constructor () {
+    this.counts = new Array(LATENCY_BUCKETS.length).fill(0)
+    this.count = 0
+    this.sum = 0
+    this.min = Infinity
+    this.max = 0
+  }
+
+  record (durationMs) {
+    let i = 0
+    while (durationMs > LATENCY_BUCKETS[i]) i++
+    this.counts[i]++
+    this.count++
+    this.sum += durationMs
+    this.min = Math.min(this.min, durationMs)
+    this.max = Math.max(this.max, durationMs)
+  }
+
+  percentile (p) {
+    const rank = Math.ceil(this.count * p)
+    let seen = 0
+    for (let i = 0; i < this.counts.length; i++) {
+      seen += this.counts[i]
+      if (seen >= rank) return Math.min(LATENCY_BUCKETS[i], this.max)
+    }
+    return this.max
+  }
+
+  snapshot () {
+    const buckets = []
+    for (let i = 0; i < LATENCY_BUCKETS.length; i++) {
+      buckets.push(new LatencyBucket(LATENCY_BUCKETS[i], this.counts[i]))
+    }
+    return new LatencyStats(
+      this.count, this.sum, this.count > 0 ? this.min : 0, this.max,
+      this.percentile(0.5), this.percentile(0.9), this.percentile(0.99),
+      buckets
+    )
+  }
+}
+
+class MetricsSnapshot {
+  constructor (operations, errors, bytesEncoded, bytesDecoded) {
+    this.operations = operations
+    this.errors = errors
+    this.bytesEncoded = bytesEncoded
+    this.bytesDecoded = bytesDecoded
+  }
+}
+
+class OperationStats {
+  constructor (count, errors, latency) {
+    this.count = count
+    this.errors = errors
+    this.latency = latency
+  }
+}
+
+class LatencyStats {
+  constructor (count, sum, min, max, p50, p90, p99, buckets) {
+    this.count = count
+    this.sum = sum
+    this.min = min
+    this.max = max
+    this.p50 = p50
+    this.p90 = p90
+    this.p99 = p99
+    this.buckets = buckets
+  }
+}
+
+class LatencyBucket {
+  constructor (le, count) {
+    // Upper bound in ms, inclusive
+    this.le = le
+    this.count = count
+  }
+}
+
+/**
+ * Small wrapper that adds Promise<{ err, data }> support
+ * for leveldown
+ *
+ * Emits `open`, `closed`, `put`, `del`, `batch` & `clear`
+ * events after the corresponding operation succeeded.
+ */
+class AsyncLevelDown extends EventEmitter {
+  constructor (db, options = {}) {
+    assert(db, 'db required')
+    super()
+    this.leveldown = db
+
+    // Codec objects from options.valueEncoding & options.keyEncoding
+    this.valueEncoding = options.valueEncoding
+      ? getEncoding(options.valueEncoding) : null
+    this.keyEncoding = options.keyEncoding
+      ? getEncoding(options.keyEncoding) : null
+
+    const valueCodec = this.valueEncoding || encodings.get('id')
+    const keyCodec = this.keyEncoding || encodings.get('id')
+
+    // Function to encode values
+    this.encode = options.encode || valueCodec.encode
+    // Function to decode values
+    this.decode = options.decode || valueCodec.decode
+    // Function to encode keys
+    this.keyEncode = options.keyEncode || keyCodec.encode
+    // Function to decode keys
+    this.keyDecode = options.keyDecode || keyCodec.decode
+
+    this._valueCodec = new Codec(
+      valueCodec.type, this.encode, this.decode, valueCodec.buffer
+    )
+    this._keyCodec = new Codec(
+      keyCodec.type, this.keyEncode, this.keyDecode, keyCodec.buffer
+    )
+    // Applied to encoded values in order & reversed before decoding,
+    // shared with sublevels
+    this._valueTransforms = []
+    this._keyTransforms = []
+    if (options.compression) {
+      this._valueTransforms.push(
+        new CompressionTransform(options.compression)
+      )
+    }
+    if (options.encryption) {
+      this._valueTransforms.push(
+        new EncryptionTransform(options.encryption, false)
+      )
+      if (options.encryption.encryptKeys) {
+        this._keyTransforms.push(new PrefixedKeyTransform(
+          new EncryptionTransform(options.encryption, true)
+        ))
+      }
+    }
+    // Codecs wrapped with the transforms, by codec
+    this._transformedCodecs = new WeakMap()
+    this._transformedKeyCodecs = new WeakMap()
+
+    this.hooks = {
+      prewrite: new Hook()
+    }
+
+    // Queue operations until open() succeeds instead of calling
+    // into leveldown before it is open
+    this.deferredOpen = Boolean(options.deferredOpen)
+    this._deferred = []
+    // Operations are only deferred while opening & until the first
+    // call to open() or close()
+    this._beforeOpen = true
+
+    // One of 'opening', 'open', 'closing' or 'closed'
+    this._status = 'closed'
+    this._pendingOpen = null
+    this._pendingClose = null
+    // Promises of operations that close() waits for
+    this._pendingOps = new Set()
+    // Iterators that close() has to close
+    this._iterators = new Set()
+    // Writes in progress, shared with sublevels, for transactions
+    this._tracker = new WriteTracker()
+    // Shared with sublevels, for withLock() & update()
+    this._locks = new KeyLocks()
+    // Shared with sublevels, for keys written with a `ttl`
+    this._expiry = new ExpiryIndex()
+    // Secondary indexes by the key prefix of the database they index
+    // & the locks held while updating them, shared with sublevels
+    this._indexes = new Map()
+    this._indexLocks = new KeyLocks()
+    // Whether `open()` found index entries written before
+    this._indexEntries = false
+    // Decoded values read by get(), shared with sublevels
+    this._cache = options.cache ? new ValueCache(options.cache) : null
+    // Metrics & tracing, shared with sublevels
+    this._instrumentation = options.metrics || options.onOperation ||
+      options.diagnosticsChannel ? new Instrumentation(options) : null
+    this.ttlSweepInterval = options.ttlSweepInterval || 60 * 1000
+    this._sweepTimer = null
+    this._sweeping = null
+    // Created on first use of `db.promises`
+    this._promises = null
+  }
+
+  get status () {
+    return this._status
+  }
+
+  /**
+   * Returns the hits, misses & evictions of the `cache` or `null`
+   * if the database has no cache
+   */
+  cacheStats () {
+    return this._cache ? this._cache.stats() : null
+  }
+
+  /**
+   * Returns the counters & latencies collected with the `metrics`
+   * option or `null` if the option is not set
+   */
+  metrics () {
+    const instrumentation = this._instrumentation
+    return instrumentation && instrumentation.metrics
+      ? instrumentation.metrics.snapshot() : null
+  }
+
+  /**
+   * A view of the database that rejects with errors instead of
+   * returning `Result` objects
+   */
+  get promises () {
+    if (!this._promises) {
+      this._promises = new AsyncLevelPromises(this)
+    }
+    return this._promises
+  }
+
+  async ensure () {
+    if (this.status === 'open') return
+
+    const { err } = await this.open()
+
+    /**
+     * In this case just throw the error since no-one handles
+     * this error properly. If we do not throw we would have
+     * to check in effectively every method.
+     */
+    if (err) {
+      throw err
+    }
+  }
+
+  /**
+   * Opens the database. Calling `open()` while it is opening returns
+   * the pending open and calling it while closing, or after a
+   * `close()` that waits for the pending open, re-opens the database
+   * once it is closed.
+   */
+  async open () {
+    this._beforeOpen = false
+    if (this._pendingClose) await this._pendingClose
+    if (this.status === 'open') return new Result(null, null)
+    if (this.status === 'opening') return this._pendingOpen
+
+    this._status = 'opening'
+    this._pendingOpen = new Promise((resolve) => {
+      this.leveldown.open(resolve)
+    }).then(async (err) => {
+      if (!err) await this._expiry.load(this.leveldown)
+      if (!err) await this._loadIndexEntries()
+
+      this._status = err ? 'closed' : 'open'
+      if (!err) {
+        this.emit('open')
+        this._sweepTimer = setInterval(
+          () => this._sweep(), this.ttlSweepInterval
+        )
+        this._sweepTimer.unref()
+      }
+      this._flushDeferred(err)
+      return new Result(err, null)
+    })
+
+    const result = await this._pendingOpen
+    this._pendingOpen = null
+    return result
+  }
+
+  clear (options) {
+    return this._instrument('clear', undefined, () => {
+      return this._run('clear', () => this._clear(options))
+    })
+  }
+
+  _clear (options) {
+    const copyOpts = this._encodeRange(options)
+
+    return new Promise((resolve) => {
+      this._tracker.startClear(copyOpts)
+      this.leveldown.clear(copyOpts, async (err) => {
+        this._tracker.finishClear(copyOpts)
+        if (this._cache) this._cache.deleteRange(copyOpts)
+        if (!err) err = await this._clearIndexes(options)
+        if (!err) this.emit('clear', options)
+        resolve(new Result(err, null))
+      })
+    })
+  }
+
+  /**
+   * Clearing every record also clears the indexes. Entries left
+   * behind by a range clear are skipped when reading the index.
+   */
+  async _clearIndexes (options) {
+    const indexes = this._indexes.get(this.keyPrefix || '')
+    if (!indexes) return null
+    if (ltgtKeys.some((k) => options && k in options)) return null
+
+    for (const index of indexes.values()) {
+      const { err } = await index.store._clear()
+      if (err) return err
+    }
+    return null
+  }
+
+  /**
+   * Closes the database once all pending operations finished and
+   * after closing all iterators that are still open. Operations
+   * deferred before the database was opened return a `NotOpenError`.
+   */
+  close () {
+    this._beforeOpen = false
+    if (this._pendingClose) return this._pendingClose
+
+    const pending = this._closeAfterOpen()
+    this._pendingClose = pending
+    pending.then(() => {
+      if (this._pendingClose === pending) this._pendingClose = null
+    })
+    return pending
+  }
+
+  async _closeAfterOpen () {
+    if (this.status === 'opening') await this._pendingOpen
+    if (this.status === 'closed') {
+      this._flushDeferred(null)
+      return new Result(new NotOpenError('close', this.status), null)
+    }
+
+    this._status = 'closing'
+    return this._close()
+  }
+
+  async _close () {
+    clearInterval(this._sweepTimer)
+    this._sweepTimer = null
+    while (this._pendingOps.size > 0) {
+      await Promise.all(Array.from(this._pendingOps))
+    }
+    for (const itr of Array.from(this._iterators)) {
+      await itr.close()
+    }
+
+    return new Promise((resolve) => {
+      this.leveldown.close((err) => {
+        this._status = err ? 'open' : 'closed'
+        if (!err && this._cache) this._cache.clear()
+        if (!err) this.emit('closed')
+        resolve(new Result(err, null))
+      })
+    })
+  }
+
+  put (key, value, options) {
+    return this._instrument('put', key, () => this._run('put', () => {
+      if (this.hooks.prewrite.fns.length > 0) {
+        const op = Object.assign(new BatchOp('put', key, value), {
+          ttl: options && options.ttl
+        })
+        return this._hookedWrite(op, options)
+      }
+
+      return this._put(key, value, options)
+    }))
+  }
+
+  _put (key, value, options) {
+    const encoded = this._encodeKeys('put', [key], options)
+    if (encoded.err) return Promise.resolve(encoded)
+    const encodedKey = encoded.data[0]
+    const valueCodec = this._getValueCodec(options)
+
+    return new Promise((resolve) => {
+      let rawValue
+      try {
+        rawValue = valueCodec.encode(value)
+      } catch (err) {
+        const encErr = new EncodingError(err, 'encode in put(): ')
+        return resolve(new Result(encErr, null))
+      }
+
+      const rawOp = new BatchOp('put', encodedKey, rawValue)
+      this._writeRaw(rawOp, options && options.ttl, options, (err) => {
+        if (!err) this.emit('put', key, value)
+        resolve(new Result(err, null))
+      })
+    })
+  }
+
+  get (key, options) {
+    return this._instrument('get', key, () => {
+      return this._run('get', () => this._get(key, options))
+    })
+  }
+
+  _get (key, options) {
+    const encoded = this._encodeKeys('get', [key], options)
+    if (encoded.err) return Promise.resolve(encoded)
+    const encodedKey = encoded.data[0]
+    const valueCodec = this._getValueCodec(options)
+    const getOpts = withBufferOption(options, 'asBuffer', valueCodec)
+    const notFound = () => new Result(new NotFoundError(
+      'Key not found in database [' + key + ']'
+    ), null)
+
+    // Expiring keys are not cached as they can expire at any time
+    const cache = this._expiry.active ? null : this._cache
+    const asBuffer = getOpts ? getOpts.asBuffer : undefined
+    if (cache) {
+      const entry = cache.get(encodedKey, valueCodec, asBuffer)
+      if (entry) {
+        return Promise.resolve(
+          entry.found ? new Result(null, entry.value) : notFound()
+        )
+      }
+    }
+    const generation = cache ? cache.generation : 0
+
+    return new Promise((resolve) => {
+      this._readOne(
+        encodedKey, getOpts,
+        (err, value) => {
+          if (err && !notFoundRegex.test(err.message)) {
+            return resolve(new Result(err, null))
+          }
+          if (err || value === undefined) {
+            if (cache) {
+              cache.set(generation, new CacheEntry(
+                encodedKey, valueCodec, asBuffer, false, undefined,
+                byteLength(encodedKey)
+              ))
+            }
+            return resolve(notFound())
+          }
+
+          let decoded
+          try {
+            decoded = valueCodec.decode(value)
+          } catch (err) {
+            const encErr = decodeError(err, 'decode in get(): ')
+            return resolve(new Result(encErr, null))
+          }
+
+          this._countBytes('bytesDecoded', [value])
+          if (cache) {
+            cache.set(generation, new CacheEntry(
+              encodedKey, valueCodec, asBuffer, true, decoded,
+              byteLength(encodedKey) + byteLength(value)
+            ))
+          }
+          resolve(new Result(null, decoded))
+        }
+      )
+    })
+  }
+
+  /**
+   * Reads many keys at once. The `data` array is aligned with
+   * `keys` and contains `undefined` for every key that is missing.
+   */
+  getMany (keys, options) {
+    return this._run('getMany', () => this._getMany(keys, options))
+  }
+
+  _getMany (keys, options) {
+    const encoded = this._encodeKeys('getMany', keys, options)
+    if (encoded.err) return Promise.resolve(encoded)
+    const encodedKeys = encoded.data
+    const valueCodec = this._getValueCodec(options)
+    const getOpts = withBufferOption(options, 'asBuffer', valueCodec)
+
+    return new Promise((resolve) => {
+      this._readLive(encodedKeys, getOpts, (err, values) => {
+        if (err) {
+          return resolve(new Result(err, null))
+        }
+
+        const decodedValues = []
+        for (const value of values) {
+          if (value === undefined) {
+            decodedValues.push(undefined)
+            continue
+          }
+
+          let decoded
+          try {
+            decoded = valueCodec.decode(value)
+          } catch (err) {
+            const encErr = decodeError(err, 'decode in getMany(): ')
+            return resolve(new Result(encErr, null))
+          }
+          decodedValues.push(decoded)
+        }
+
+        resolve(new Result(null, decodedValues))
+      })
+    })
+  }
+
+  /**
+   * Reads one raw value, `value` is `undefined` if the key expired
+   */
+  _readOne (key, options, cb) {
+    if (!this._expiry.active) {
+      return this.leveldown.get(key, options, cb)
+    }
+
+    this._readLive([key], options, (err, values) => {
+      cb(err, values ? values[0] : undefined)
+    })
+  }
+
+  /**
+   * Like `_readMany()` but expired keys are `undefined`
+   */
+  _readLive (keys, options, cb) {
+    if (!this._expiry.active) {
+      return this._readMany(keys, options, cb)
+    }
+
+    const metaKeys = keys.map((key) => this._expiry.metaKey(key))
+    this._readMany(keys.concat(metaKeys), options, (err, values) => {
+      if (err) return cb(err)
+
+      const now = Date.now()
+      const live = values.slice(0, keys.length)
+      for (let i = 0; i < keys.length; i++) {
+        if (this._expiry.isExpired(values[keys.length + i], now)) {
+          live[i] = undefined
+        }
+      }
+      cb(null, live)
+    })
+  }
+
+  /**
+   * Drops the entries read by an iterator that expired, the
+   * entries of the expiry index itself and, for the root database,
+   * the entries of the secondary indexes.
+   */
+  _skipExpired (keys, values, cb) {
+    const hidesIndexes = this._hidesIndexes()
+    if (!this._expiry.active && !hidesIndexes) {
+      return cb(null, keys, values)
+    }
+
+    const liveKeys = []
+    const liveValues = []
+    for (let i = 0; i < keys.length; i++) {
+      if (this._expiry.isHidden(keys[i])) continue
+      if (hidesIndexes && hasPrefix(keys[i], INDEX_PREFIX)) continue
+      liveKeys.push(keys[i])
+      liveValues.push(values[i])
+    }
+    if (!this._expiry.active) {
+      return cb(null, liveKeys, liveValues)
+    }
+
+    const metaKeys = liveKeys.map((key) => this._expiry.metaKey(key))
+    this._readMany(metaKeys, null, (err, metas) => {
+      if (err) return cb(err)
+
+      const now = Date.now()
+      const resultKeys = []
+      const resultValues = []
+      for (let i = 0; i < liveKeys.length; i++) {
+        if (this._expiry.isExpired(metas[i], now)) continue
+        resultKeys.push(liveKeys[i])
+        resultValues.push(liveValues[i])
+      }
+      cb(null, resultKeys, resultValues)
+    })
+  }
+
+  /**
+   * Whether reads of the root database have to hide the entries of
+   * the secondary indexes, which is once an index was created or
+   * `open()` found index entries
+   */
+  _hidesIndexes () {
+    return !this.parent && (this._indexes.size > 0 || this._indexEntries)
+  }
+
+  async _loadIndexEntries () {
+    const { err, data } = await readKeys(this.leveldown, {
+      gte: INDEX_PREFIX,
+      lt: incrementKey(INDEX_PREFIX),
+      limit: 1
+    })
+    this._indexEntries = Boolean(err) || data.length > 0
+  }
+
+  /**
+   * Writes a put or del together with the updates of the expiry
+   * index, as a batch if the index has to be updated.
+   */
+  _writeRaw (rawOp, ttl, options, cb) {
+    this._countBytes('bytesEncoded', [rawOp.key, rawOp.value])
+    const indexOps = this._expiry.operations(rawOp.type, rawOp.key, ttl)
+    const rawOps = [rawOp].concat(indexOps)
+    const ids = this._tracker.start(rawOps.map((op) => op.key))
+    const done = (err) => {
+      this._tracker.finish(ids)
+      this._invalidate([rawOp.key])
+      cb(err)
+    }
+
+    if (this._indexes.size > 0) {
+      this._writeIndexed(rawOps, [this], (secondaryOps, cb) => {
+        this.leveldown.batch(
+          rawOps.concat(secondaryOps), options || null, cb
+        )
+      }, done)
+    } else if (indexOps.length > 0) {
+      this.leveldown.batch(rawOps, options || null, done)
+    } else if (rawOp.type === 'del') {
+      this.leveldown.del(rawOp.key, options || null, done)
+    } else {
+      this.leveldown.put(rawOp.key, rawOp.value, options || null, done)
+    }
+  }
+
+  /**
+   * Drops written keys from the cache, also after a failed write as
+   * part of it may have been written
+   */
+  _invalidate (keys) {
+    if (this._cache) this._cache.delete(keys)
+  }
+
+  /**
+   * Calls `write(secondaryOps, cb)` with the updates of the secondary
+   * indexes of `targets[i]`, the database that wrote `rawOps[i]`.
+   * The old values are read while holding the index lock of every
+   * key so that writes to the same key cannot interleave.
+   */
+  _writeIndexed (rawOps, targets, write, cb) {
+    const writes = []
+    for (let i = 0; i < rawOps.length; i++) {
+      const indexes = targets[i] &&
+        this._indexes.get(targets[i].keyPrefix || '')
+      if (indexes) writes.push(new IndexedWrite(indexes, rawOps[i]))
+    }
+    if (writes.length === 0) {
+      return write([], cb)
+    }
+
+    const keys = writes.map((w) => w.rawOp.key)
+    this._indexLocks.run(keys.map(keyId), () => new Promise((resolve) => {
+      const done = (err) => {
+        resolve()
+        cb(err)
+      }
+
+      this._readMany(keys, { asBuffer: true }, (err, oldValues) => {
+        if (err) return done(err)
+
+        let secondaryOps
+        try {
+          secondaryOps = indexOperations(writes, oldValues)
+        } catch (err) {
+          return done(err)
+        }
+        write(secondaryOps, done)
+      })
+    }))
+  }
+
+  /**
+   * Deletes up to `SWEEP_LIMIT` keys that expired. Runs every
+   * `ttlSweepInterval` ms while the database is open.
+   */
+  _sweep () {
+    if (!this._expiry.active || this._sweeping || this.status !== 'open') {
+      return
+    }
+
+    this._sweeping = this._trackOp(this._sweepExpired())
+    this._sweeping.then(() => {
+      this._sweeping = null
+    })
+  }
+
+  async _sweepExpired () {
+    const index = this._expiry
+    const sweepKeys = await readKeys(
+      this.leveldown, index.sweepRange(Date.now())
+    )
+    if (sweepKeys.err || sweepKeys.data.length === 0) {
+      return new Result(sweepKeys.err, null)
+    }
+
+    // Registered like a transaction so that a write to one of the
+    // keys while sweeping cancels this sweep
+    const tx = new LevelAsyncTransaction(this)
+    const entries = sweepKeys.data.map((key) => index.parseSweepKey(key))
+    for (const entry of entries) {
+      tx._reads.set(keyId(entry.key), entry.key)
+    }
+
+    this._tracker.transactions.add(tx)
+    try {
+      const metaKeys = entries.map((entry) => index.metaKey(entry.key))
+      const metas = await new Promise((resolve) => {
+        this._readMany(metaKeys, null, (err, values) => {
+          resolve(new Result(err, values))
+        })
+      })
+      if (metas.err) {
+        return new Result(metas.err, null)
+      }
+
+      const rawOps = []
+      for (let i = 0; i < entries.length; i++) {
+        rawOps.push(new BatchOp('del', sweepKeys.data[i], undefined))
+        // A later write to the key replaced or removed its expiry
+        const meta = metas.data[i]
+        const expiry = meta === undefined ? null : Number(meta.toString())
+        if (expiry === entries[i].expiry) {
+          rawOps.push(new BatchOp('del', entries[i].key, undefined))
+          rawOps.push(new BatchOp('del', metaKeys[i], undefined))
+        }
+      }
+
+      // The next sweep tries again
+      if (tx.conflicted || this._tracker.isPending(tx._reads)) {
+        return new Result(null, null)
+      }
+
+      const ids = this._tracker.start(rawOps.map((op) => op.key))
+      return await new Promise((resolve) => {
+        this.leveldown.batch(rawOps, null, (err) => {
+          this._tracker.finish(ids)
+          resolve(new Result(err, null))
+        })
+      })
+    } finally {
+      this._tracker.transactions.delete(tx)
+    }
+  }
+
+  /**
+   * Newer versions of `leveldown` have a native `getMany()`, for
+   * older versions we fall back to calling `get()` in parallel.
+   */
+  _readMany (keys, options, cb) {
+    if (typeof this.leveldown.getMany === 'function') {
+      return this.leveldown.getMany(keys, options, cb)
+    }
+
+    const values = new Array(keys.length)
+    let pending = keys.length
+    let finished = false
+    if (pending === 0) {
+      return cb(null, values)
+    }
+
+    for (let i = 0; i < keys.length; i++) {
+      this.leveldown.get(keys[i], options, (err, value) => {
+        if (finished) return
+        if (err && !notFoundRegex.test(err.message)) {
+          finished = true
+          return cb(err)
+        }
+
+        values[i] = err ? undefined : value
+        if (--pending === 0) {
+          finished = true
+          cb(null, values)
+        }
+      })
+    }
+  }
+
+  del (key, options) {
+    return this._instrument('del', key, () => this._run('del', () => {
+      if (this.hooks.prewrite.fns.length > 0) {
+        return this._hookedWrite(
+          new BatchOp('del', key, undefined), options
+        )
+      }
+
+      return this._del(key, options)
+    }))
+  }
+
+  _del (key, options) {
+    const encoded = this._encodeKeys('del', [key], options)
+    if (encoded.err) return Promise.resolve(encoded)
+    const encodedKey = encoded.data[0]
+    return new Promise((resolve) => {
+      const rawOp = new BatchOp('del', encodedKey, undefined)
+      this._writeRaw(rawOp, undefined, options, (err) => {
+        if (!err) this.emit('del', key)
+        resolve(new Result(err, null))
+      })
+    })
+  }
+
+  iterator (options) {
+    return this._iterator(options, 'entries')
+  }
+
+  /**
+   * Like `iterator()` but only reads & decodes the keys
+   */
+  keys (options) {
+    return this._iterator(
+      Object.assign({}, options, { values: false }), 'keys'
+    )
+  }
+
+  /**
+   * Like `iterator()` but only reads & decodes the values
+   */
+  values (options) {
+    return this._iterator(
+      Object.assign({}, options, { keys: false }), 'values'
+    )
+  }
+
+  /**
+   * Returns a Readable stream of `{ key, value }` objects
+   */
+  createReadStream (options) {
+    return new LevelReadStream(this.iterator(options))
+  }
+
+  createKeyStream (options) {
+    return new LevelReadStream(this.keys(options))
+  }
+
+  createValueStream (options) {
+    return new LevelReadStream(this.values(options))
+  }
+
+  /**
+   * Returns a Writable stream of `{ type, key, value }` objects
+   * that are written with `batch()`
+   */
+  createWriteStream (options) {
+    return new LevelWriteStream(this, options || {})
+  }
+
+  /**
+   * Writes the entries in `options.range` to `writable` in the
+   * export format & ends it. All entries are read from one
+   * iterator so the export is a consistent snapshot. `data` is the
+   * number of entries.
+   */
+  async exportTo (writable, options) {
+    const opts = options || {}
+    const writer = new ExportWriter(opts.format || 'binary')
+
+    // The range is encoded with the key encoding of the database
+    // but keys & values are read as raw Buffers
+    const keyCodec = this._getKeyCodec(opts.range)
+    const range = Object.assign({}, opts.range)
+    for (const k of Object.keys(range)) {
+      if (ltgtKeys.includes(k) && !(range[k] instanceof EncodedKey)) {
+        range[k] = new EncodedKey(keyCodec.encode(range[k]))
+      }
+    }
+    range.keyEncoding = 'binary'
+    range.valueEncoding = 'binary'
+    const itr = this._iterator(range, 'entries')
+
+    try {
+      await writeChunk(writable, writer.header())
+      while (true) {
+        const { done, value } = await itr.batchNext()
+        if (done) break
+        if (value.err) throw value.err
+
+        const { keys, values } = value.data
+        await writeChunk(writable, writer.entries(keys, values))
+      }
+
+      await writeChunk(writable, writer.trailer())
+      writable.end()
+      await finishedAsync(writable)
+    } catch (err) {
+      // Consumers like HTTP responses would wait forever otherwise.
+      // The error is returned in `err` rather than emitted on
+      // `writable`, which may have no 'error' listener.
+      writable.destroy()
+      return new Result(err, null)
+    } finally {
+      await itr.close()
+    }
+    return new Result(null, writer.count)
+  }
+
+  /**
+   * Writes the entries of an export read from `readable` with
+   * `batch()`. `data` is the number of entries.
+   */
+  async importFrom (readable, options) {
+    const opts = options || {}
+    const batchSize = opts.batchSize || 1000
+    // Only clear once the header shows that `readable` is an export
+    let clear = Boolean(opts.clear)
+
+    const reader = new ExportReader()
+    let operations = []
+    try {
+      for await (const chunk of readable) {
+        const entries = reader.push(toBuffer(chunk))
+        if (clear && reader.headerRead) {
+          clear = false
+          const { err } = await this.clear()
+          if (err) {
+            return new Result(err, null)
+          }
+        }
+
+        for (const entry of entries) {
+          operations.push({
+            type: 'put',
+            key: entry.key,
+            value: entry.value,
+            keyEncoding: 'binary',
+            valueEncoding: 'binary'
+          })
+          if (operations.length < batchSize) continue
+
+          const { err } = await this.batch(operations)
+          if (err) {
+            return new Result(err, null)
+          }
+          operations = []
+        }
+      }
+      reader.end()
+    } catch (err) {
+      return new Result(err, null)
+    }
+
+    if (operations.length > 0) {
+      const { err } = await this.batch(operations)
+      if (err) {
+        return new Result(err, null)
+      }
+    }
+    return new Result(null, reader.count)
+  }
+
+  /**
+   * Counts the keys in a range without decoding values
+   */
+  async count (options) {
+    const itr = this.keys(options)
+    let count = 0
+    while (true) {
+      const { done, value } = await itr.batchNext()
+      if (done) {
+        return new Result(null, count)
+      }
+      if (value.err) {
+        await itr.close()
+        return new Result(value.err, null)
+      }
+      count += value.data.length
+    }
+  }
+
+  /**
+   * Returns `{ gte, lt }` bounds that select every key starting
+   * with `prefix` once encoded. For array keys, like with charwise,
+   * it selects every key that starts with the elements of `prefix`.
+   */
+  prefix (prefix, options) {
+    const encode = this._getKeyCodec(options).encode
+    let lower = encode(prefix)
+    if (Array.isArray(prefix)) {
+      lower = arrayPrefix(lower, encode(prefix.concat([''])))
+    }
+
+    const range = Object.assign({}, options)
+    range.gte = new EncodedKey(lower)
+    const upper = incrementKey(lower)
+    if (upper !== null) {
+      range.lt = new EncodedKey(upper)
+    }
+    return range
+  }
+
+  /**
+   * Runs `fn(tx)` and writes the operations buffered on `tx` in
+   * one batch. Returns what `fn` returns as `data`, the error it
+   * throws or a `ConflictError` if a key that `tx` read was written
+   * to in the meantime. With `retries` the transaction is run again
+   * after a conflict.
+   */
+  async transaction (fn, options) {
+    const retries = options && options.retries ? options.retries : 0
+    for (let attempt = 0; ; attempt++) {
+      const tx = new LevelAsyncTransaction(this)
+      const result = await tx._run(fn)
+      if (!result.err || !result.err.conflict || attempt >= retries) {
+        return result
+      }
+    }
+  }
+
+  /**
+   * Runs `fn()` once no other `withLock()` or `update()` holds one
+   * of `keys` and returns what `fn` returns. Only calls that go
+   * through the lock are serialized, plain writes are not.
+   */
+  withLock (keys, fn, options) {
+    assert(Array.isArray(keys), 'keys must be an array')
+    assert(typeof fn === 'function', 'fn must be a function')
+
+    const encoded = this._encodeKeys('withLock', keys, options)
+    if (encoded.err) return Promise.resolve(encoded)
+    return this._locks.run(encoded.data.map(keyId), fn)
+  }
+
+  /**
+   * Reads `key`, calls `fn(value)` and writes what it returns while
+   * holding the lock of `key`. A missing key is passed as `undefined`
+   * and returning `undefined` deletes the key.
+   */
+  update (key, fn, options) {
+    return this.withLock([key], async () => {
+      const { err, data } = await this.get(key, options)
+      if (err && !err.notFound) {
+        return new Result(err, null)
+      }
+
+      let value
+      try {
+        value = await fn(err ? undefined : data)
+      } catch (err) {
+        return new Result(err, null)
+      }
+
+      const result = value === undefined
+        ? await this.del(key, options)
+        : await this.put(key, value, options)
+      return new Result(result.err, result.err ? null : value)
+    }, options)
+  }
+
+  /**
+   * Creates the secondary index `name` of this database. `fn(key,
+   * value)` returns the index key of a record, an array of index
+   * keys or `undefined` to leave the record out of the index.
+   */
+  createIndex (name, fn, options) {
+    assert(typeof name === 'string', 'name must be a string')
+    assert(typeof fn === 'function', 'fn must be a function')
+    // Index entries are found with ranges of their index keys
+    assert(this._keyTransforms.length === 0,
+      'indexes cannot be used with encryption.encryptKeys')
+
+    const prefix = this.keyPrefix || ''
+    let indexes = this._indexes.get(prefix)
+    if (!indexes) {
+      indexes = new Map()
+      this._indexes.set(prefix, indexes)
+    }
+    assert(!indexes.has(name), 'index ' + name + ' already exists')
+
+    const index = new SecondaryIndex(this, name, fn, options || {})
+    indexes.set(name, index)
+    return index
+  }
+
+  index (name) {
+    const indexes = this._indexes.get(this.keyPrefix || '')
+    const index = indexes && indexes.get(name)
+    assert(index, 'index ' + name + ' does not exist')
+    return index
+  }
+
+  rebuildIndex (name) {
+    return this.index(name).rebuild()
+  }
+
+  /**
+   * Returns a read-only view of the database as it is now
+   */
+  snapshot () {
+    return new LevelAsyncSnapshot(this)
+  }
+
+  _iterator (options, mode, snapshot) {
+    const keyCodec = this._getKeyCodec(options)
+    const valueCodec = this._getValueCodec(options)
+    let copyOpts = this._encodeRange(options)
+    copyOpts = withBufferOption(copyOpts, 'keyAsBuffer', keyCodec)
+    copyOpts = withBufferOption(copyOpts, 'valueAsBuffer', valueCodec)
+    const hidesKeys = this._expiry.active || this._hidesIndexes()
+    if (hidesKeys && copyOpts.keys === false) {
+      // The keys are needed to look up their expiry & to hide the
+      // entries of the indexes
+      copyOpts = Object.assign({}, copyOpts, { keys: true })
+    }
+
+    const itr = new LevelAsyncIterator(
+      null, valueCodec.decode, this,
+      (key) => this._decodeKey(key, options),
+      (key) => this._encodeKey(key, options),
+      mode
+    )
+    itr._snapshot = snapshot || null
+
+    // If the database is open the leveldown iterator is created
+    // right away, otherwise once it opens with `deferredOpen`.
+    itr._pendingIterator = this._run('iterator', () => {
+      itr._createIterator(copyOpts)
+      return Promise.resolve(new Result(null, null))
+    })
+    return itr
+  }
+
+  batch (operations, options) {
+    if (operations === undefined) {
+      return new LevelAsyncBatch(this.leveldown.batch(), this)
+    }
+
+    return this._instrument('batch', undefined, () => {
+      return this._run('batch', () => {
+        if (this.hooks.prewrite.fns.length > 0) {
+          try {
+            operations = this._prewrite(operations)
+          } catch (err) {
+            return Promise.resolve(new Result(err, null))
+          }
+        }
+
+        return this._batch(operations, options)
+      })
+    })
+  }
+
+  _batch (operations, options) {
+    return new Promise((resolve) => {
+      const rawOperations = []
+      const targets = []
+      for (const op of operations) {
+        let rawOp
+        try {
+          rawOp = this._encodeBatchOp(op, options)
+        } catch (err) {
+          const encErr = new EncodingError(err, 'encode in batch(): ')
+          return resolve(new Result(encErr, null))
+        }
+
+        rawOperations.push(rawOp)
+        targets.push(op.sublevel || this)
+        this._countBytes('bytesEncoded', [rawOp.key, rawOp.value])
+        const indexOps = this._expiry.operations(
+          rawOp.type, rawOp.key, op.ttl
+        )
+        for (const indexOp of indexOps) rawOperations.push(indexOp)
+      }
+
+      const ids = this._tracker.start(rawOperations.map((op) => op.key))
+      this._writeIndexed(rawOperations, targets, (secondaryOps, cb) => {
+        this.leveldown.batch(
+          rawOperations.concat(secondaryOps), options || null, cb
+        )
+      }, (err) => {
+        this._tracker.finish(ids)
+        this._invalidate(rawOperations.map((op) => op.key))
+        if (!err) this.emit('batch', operations)
+        resolve(new Result(err, null))
+      })
+    })
+  }
+
+  /**
+   * Runs the prewrite hooks for a `put()` or `del()`. If the hooks
+   * add operations then everything is written as one batch.
+   */
+  _hookedWrite (operation, options) {
+    let operations
+    try {
+      operations = this._prewrite([operation])
+    } catch (err) {
+      return Promise.resolve(new Result(err, null))
+    }
+
+    const op = operations[0]
+    if (operations.length > 1 || op.sublevel) {
+      return this._batch(operations, options)
+    }
+
+    // Encodings on the op take precedence over the call options
+    const opOptions = op.valueEncoding || op.keyEncoding ? op : options
+    return op.type === 'del'
+      ? this._del(op.key, opOptions)
+      : this._put(op.key, op.value, opOptions)
+  }
+
+  /**
+   * Copies every operation and passes it to the prewrite hooks
+   * which can modify it, throw to reject the write or add extra
+   * operations. Extra operations do not run the hooks again.
+   */
+  _prewrite (operations) {
+    const result = []
+    for (const operation of operations) {
+      const op = Object.assign({}, operation)
+      const batch = new PrewriteBatch()
+      this.hooks.prewrite.run(op, batch)
+
+      result.push(op)
+      for (const extraOp of batch.operations) {
+        result.push(extraOp)
+      }
+    }
+    return result
+  }
+
+  _encodeBatchOp (op, options) {
+    const target = op.sublevel || this
+    assert(
+      target.leveldown === this.leveldown,
+      'op.sublevel must belong to the same leveldown'
+    )
+
+    // Encodings on the op take precedence over batch() options
+    const opOptions = op.valueEncoding || op.keyEncoding ? op : options
+    const encodedKey = target._encodeKey(op.key, opOptions)
+    if (op.type === 'del') {
+      return new BatchOp(op.type, encodedKey, undefined)
+    }
+
+    const encodedValue = target._getValueCodec(opOptions).encode(op.value)
+    return new BatchOp(op.type, encodedKey, encodedValue)
+  }
+
+  /**
+   * Returns a namespaced view of this database where every key
+   * is stored with a `!name!` prefix. Sublevels can be nested.
+   */
+  sublevel (name, options) {
+    return new AsyncLevelSublevel(this, name, options)
+  }
+
+  /**
+   * Runs an operation if the database is open. Otherwise the
+   * operation is deferred with `deferredOpen` or returns a
+   * `NotOpenError`.
+   */
+  _run (method, fn) {
+    if (this._shouldDefer()) {
+      return this._defer(() => this._run(method, fn))
+    }
+    if (this.status !== 'open') {
+      const err = new NotOpenError(method, this.status)
+      return Promise.resolve(new Result(err, null))
+    }
+
+    return this._trackOp(fn())
+  }
+
+  /**
+   * Times the operation started by `fn()` for the metrics, the
+   * `onOperation` hook and the diagnostics channel
+   */
+  _instrument (op, key, fn) {
+    const instrumentation = this._instrumentation
+    if (!instrumentation) return fn()
+
+    const start = performance.now()
+    return fn().then((result) => {
+      const durationMs = performance.now() - start
+      instrumentation.record(op, key, durationMs, resultError(result))
+      return result
+    })
+  }
+
+  /**
+   * Adds the bytes of encoded keys & values to the metrics, `field`
+   * is `'bytesEncoded'` or `'bytesDecoded'`
+   */
+  _countBytes (field, values) {
+    const instrumentation = this._instrumentation
+    if (!instrumentation || !instrumentation.metrics) return
+
+    for (const value of values) {
+      if (value === undefined || value === null) continue
+      instrumentation.metrics[field] += byteLength(value)
+    }
+  }
+
+  _trackOp (promise) {
+    const untrack = () => {
+      this._pendingOps.delete(promise)
+    }
+
+    this._pendingOps.add(promise)
+    promise.then(untrack, untrack)
+    return promise
+  }
+
+  _trackIterator (itr) {
+    this._iterators.add(itr)
+  }
+
+  _untrackIterator (itr) {
+    this._iterators.delete(itr)
+  }
+
+  _shouldDefer () {
+    return this.deferredOpen && (this.status === 'opening' ||
+      (this.status === 'closed' && this._beforeOpen))
+  }
+
+  _defer (fn) {
+    return new Promise((resolve) => {
+      this._deferred.push(new DeferredOperation(fn, resolve))
+    })
+  }
+
+  /**
+   * Replays the deferred operations in the order they were called
+   * or fails all of them with the error from `open()`. Replaying
+   * them while closed returns a `NotOpenError` for each.
+   */
+  _flushDeferred (err) {
+    const deferred = this._deferred
+    this._deferred = []
+    for (const op of deferred) {
+      if (err) {
+        op.fail(err)
+      } else {
+        op.run()
+      }
+    }
+  }
+
+  _getKeyCodec (options) {
+    const codec = options && options.keyEncoding
+      ? getEncoding(options.keyEncoding)
+      : this._keyCodec
+    return this._transformCodec(
+      codec, this._keyTransforms, this._transformedKeyCodecs
+    )
+  }
+
+  _getValueCodec (options) {
+    const codec = options && options.valueEncoding
+      ? getEncoding(options.valueEncoding)
+      : this._valueCodec
+    return this._transformCodec(
+      codec, this._valueTransforms, this._transformedCodecs
+    )
+  }
+
+  _transformCodec (codec, transforms, cache) {
+    if (transforms.length === 0) return codec
+
+    let transformed = cache.get(codec)
+    if (!transformed) {
+      transformed = transformCodec(codec, transforms)
+      cache.set(codec, transformed)
+    }
+    return transformed
+  }
+
+  _encodeKey (key, options) {
+    if (key instanceof EncodedKey) return key.value
+    return this._getKeyCodec(options).encode(key)
+  }
+
+  _decodeKey (key, options) {
+    return this._getKeyCodec(options).decode(key)
+  }
+
+  /**
+   * Encodes the keys of a call to `method`, returns an
+   * `EncodingError` in `err` instead of throwing
+   */
+  _encodeKeys (method, keys, options) {
+    const encodedKeys = new Array(keys.length)
+    try {
+      for (let i = 0; i < keys.length; i++) {
+        encodedKeys[i] = this._encodeKey(keys[i], options)
+      }
+    } catch (err) {
+      const encErr = new EncodingError(err, 'keyEncode in ' + method + '(): ')
+      return new Result(encErr, null)
+    }
+    return new Result(null, encodedKeys)
+  }
+
+  _encodeRange (options) {
+    const copyOpts = {}
+    for (const k of Object.keys(options || {})) {
+      copyOpts[k] = ltgtKeys.includes(k)
+        ? this._encodeKey(options[k], options) : options[k]
+    }
+    return copyOpts
+  }
+
+  /**
+   * Registers a named codec that can be used for `valueEncoding`
+   * and `keyEncoding`, both in the constructor and per call.
+   */
+  static registerEncoding (name, codec) {
+    assert(typeof name === 'string', 'name must be a string')
+    assert(codec, 'codec required')
+    assert(typeof codec.encode === 'function', 'codec.encode required')
+    assert(typeof codec.decode === 'function', 'codec.decode required')
+
+    encodings.set(name, new Codec(
+      name, codec.encode, codec.decode, codec.buffer
+    ))
+  }
+
+  /**
+   * Returns a database backed by an in-memory store instead of
+   * `leveldown`, for tests & data that does not have to persist.
+   */
+  static memory (options) {
+    return new AsyncLevelDown(new MemoryLevelDown(), options)
+  }
+}
+
+/**
+ * A sublevel shares the leveldown instance of its parent and
+ * applies its own encode, decode & keyEncode functions.
+ *
+ * Every key is stored as `prefix + keyEncode(key)` and the
+ * prefix is stripped again from keys returned by `iterator()`.
+ * Ranges are always bounded to the prefix so `iterator()` and
+ * `clear()` never touch keys outside of the sublevel.
+ */
+class AsyncLevelSublevel extends AsyncLevelDown {
+  constructor (parent, name, options = {}) {
+    assert(parent, 'parent required')
+    assert(typeof name === 'string', 'name must be a string')
+    assert(!name.includes('!'), 'name cannot contain "!"')
+
+    super(parent.leveldown, inheritCodecs(options, parent))
+
+    this.parent = parent
+    this.name = name
+    this.keyPrefix = (parent.keyPrefix || '') + '!' + name + '!'
+    this._prefixBuffer = Buffer.from(this.keyPrefix)
+    this._valueTransforms = parent._valueTransforms
+    this._keyTransforms = parent._keyTransforms
+    this._tracker = parent._tracker
+    this._locks = parent._locks
+    this._expiry = parent._expiry
+    this._indexes = parent._indexes
+    this._indexLocks = parent._indexLocks
+    this._cache = parent._cache
+    this._instrumentation = parent._instrumentation
+  }
+
+  get status () {
+    return this.parent.status
+  }
+
+  ensure () {
+    return this.parent.ensure()
+  }
+
+  open () {
+    return this.parent.open()
+  }
+
+  close () {
+    return this.parent.close()
+  }
+
+  _run (method, fn) {
+    return this.parent._run(method, fn)
+  }
+
+  _trackOp (promise) {
+    return this.parent._trackOp(promise)
+  }
+
+  _trackIterator (itr) {
+    this.parent._trackIterator(itr)
+  }
+
+  _untrackIterator (itr) {
+    this.parent._untrackIterator(itr)
+  }
+
+  _encodeKey (key, options) {
+    const encodedKey = super._encodeKey(key, options)
+    if (Buffer.isBuffer(encodedKey)) {
+      return Buffer.concat([this._prefixBuffer, encodedKey])
+    }
+    return this.keyPrefix + encodedKey
+  }
+
+  _decodeKey (key, options) {
+    const rawKey = Buffer.isBuffer(key)
+      ? key.slice(this._prefixBuffer.length)
+      : key.slice(this.keyPrefix.length)
+    return super._decodeKey(rawKey, options)
+  }
+
+  _encodeRange (options) {
+    const copyOpts = super._encodeRange(options)
+    if (!('gt' in copyOpts) && !('gte' in copyOpts)) {
+      copyOpts.gte = this.keyPrefix
+    }
+    if (!('lt' in copyOpts) && !('lte' in copyOpts)) {
+      // '"' is the character directly after the '!' separator
+      copyOpts.lt = this.keyPrefix.slice(0, -1) + '"'
+    }
+    return copyOpts
+  }
+}
+
+/**
+ * Wraps the native chained batch of `leveldown`.
+ *
+ * Operations run through the prewrite hooks and are encoded
+ * eagerly in `put()` & `del()`. If a hook or encode fails the
+ * operation is not added and the first error is returned from
+ * `write()` instead of writing.
+ */
+class LevelAsyncBatch {
+  constructor (levelDownBatch, asyncLevel) {
+    assert(asyncLevel, 'asyncLevel required')
+    this._batch = levelDownBatch
+    this.asyncLevel = asyncLevel
+
+    this.length = 0
+    this.written = false
+    this._operations = []
+    this._keys = []
+    // Raw operations & the database that wrote them, for indexes
+    this._rawOps = []
+    this._targets = []
+    this._error = null
+  }
+
+  put (key, value, options) {
+    assert(!this.written, 'cannot put() after write()')
+    return this._add(Object.assign({}, options, {
+      type: 'put', key, value
+    }))
+  }
+
+  del (key, options) {
+    assert(!this.written, 'cannot del() after write()')
+    return this._add(Object.assign({}, options, {
+      type: 'del', key, value: undefined
+    }))
+  }
+
+  clear () {
+    assert(!this.written, 'cannot clear() after write()')
+
+    this._batch.clear()
+    this.length = 0
+    this._operations = []
+    this._keys = []
+    this._rawOps = []
+    this._targets = []
+    this._error = null
+    return this
+  }
+
+  write (options) {
+    assert(!this.written, 'cannot write() twice')
+    this.written = true
+
+    const asyncLevel = this.asyncLevel
+    return asyncLevel._instrument('batch', undefined, () => {
+      return asyncLevel._run('write', () => this._write(options))
+    })
+  }
+
+  _write (options) {
+    return new Promise((resolve) => {
+      if (this._error) {
+        return resolve(new Result(this._error, null))
+      }
+
+      const asyncLevel = this.asyncLevel
+      const ids = asyncLevel._tracker.start(this._keys)
+      asyncLevel._writeIndexed(this._rawOps, this._targets, (ops, cb) => {
+        for (const { type, key, value } of ops) {
+          if (type === 'del') {
+            this._batch.del(key)
+          } else {
+            this._batch.put(key, value)
+          }
+        }
+        this._batch.write(options || {}, cb)
+      }, (err) => {
+        asyncLevel._tracker.finish(ids)
+        asyncLevel._invalidate(this._keys)
+        if (!err) asyncLevel.emit('batch', this._operations)
+        resolve(new Result(err, null))
+      })
+    })
+  }
+
+  _add (operation) {
+    let operations = [operation]
+    if (this.asyncLevel.hooks.prewrite.fns.length > 0) {
+      try {
+        operations = this.asyncLevel._prewrite(operations)
+      } catch (err) {
+        this._error = this._error || err
+        return this
+      }
+    }
+
+    for (const op of operations) {
+      let rawOp
+      try {
+        rawOp = this.asyncLevel._encodeBatchOp(op, null)
+      } catch (err) {
+        this._error = this._error || new EncodingError(
+          err, 'encode in batch.' + op.type + '() [' + op.key + ']: '
+        )
+        continue
+      }
+
+      this._rawOps.push(rawOp)
+      this._targets.push(op.sublevel || this.asyncLevel)
+      this.asyncLevel._countBytes('bytesEncoded', [rawOp.key, rawOp.value])
+      const expiry = this.asyncLevel._expiry
+      const rawOps = [rawOp].concat(
+        expiry.operations(rawOp.type, rawOp.key, op.ttl)
+      )
+      for (const { type, key, value } of rawOps) {
+        if (type === 'del') {
+          this._batch.del(key)
+        } else {
+          this._batch.put(key, value)
+        }
+        this._keys.push(key)
+      }
+      this._operations.push(op)
+      this.length++
+    }
+    return this
+  }
+}
+
+/**
+ * The underlying implementation of `leveldown` has a "feature"
+ *    where the first call to `next()` ignores the HighWatermark
+ *    and the `iterator.cache` functionality.
+ *
+ * This variable `landed` get's reset every time you call
+ *    seek() on the iterator. It's meant to allow you
+ *    to read only one value at a time when calling `seek()`
+ *    instead of filling up the higherwatermark.
+ *
+ * For our use case when not doing seeking and just reading
+ *    all values for a given range query we want to basically
+ *    do two calls to `next()` in `batchNext()` for the very
+ *    first time so that we can batch read upto the
+ *    `HighWaterMark` or upto 1000 key/value pairs.
+ */
+class LevelAsyncIterator {
+  constructor (
+    levelDownItr, decode, asyncLevel, keyDecode, keyEncode, mode
+  ) {
+    assert(asyncLevel, 'asyncLevel required')
+    this._iterator = levelDownItr
+    this._iteratorOptions = null
+    this._landed = false
+    this.asyncLevel = asyncLevel
+
+    this.decode = decode
+    this.keyDecode = keyDecode || identity
+    this.keyEncode = keyEncode || identity
+    // One of 'entries', 'keys' or 'values'
+    this.mode = mode || 'entries'
+    this.finished = false
+    this.closed = false
+    this.pendingNext = false
+    // Set when the database defers creating the leveldown iterator
+    this._pendingIterator = null
+    // Calls to next(), batchNext() & close() that wait their turn
+    this._queue = []
+    // Set for iterators of a `LevelAsyncSnapshot`
+    this._snapshot = null
+  }
+
+  /**
+   * Calling `next()` concurrently is safe; calls are queued and
+   * resolve one after the other in key order.
+   */
+  next () {
+    return this.asyncLevel._instrument(
+      'next', undefined, () => this._enqueue('next')
+    )
+  }
+
+  /**
+   * This relies on the internals of `leveldown`. It will throw
+   * an exception if leveldown does not support the use case.
+   */
+  batchNext () {
+    return this.asyncLevel._instrument(
+      'batchNext', undefined, () => this._enqueue('batchNext')
+    )
+  }
+
+  /**
+   * Like `batchNext()` but returns at most `size` entries. Unlike
+   * `batchNext()` it keeps reading until `size` entries are
+   * collected or the end of the range is reached.
+   */
+  nextv (size) {
+    assert(Number.isInteger(size) && size > 0,
+      'nextv() size must be a positive integer')
+    return this._enqueue('nextv', size)
+  }
+
+  /**
+   * Reads the remaining entries into a single array; the
+   * iterator is closed once it is exhausted or errors.
+   */
+  async all () {
+    const entries = []
+    while (true) {
+      const { done, value } = await this.batchNext()
+      if (done) {
+        return new Result(null, entries)
+      }
+      if (value.err) {
+        await this.close()
+        return new Result(value.err, null)
+      }
+
+      if (this.mode === 'keys' || this.mode === 'values') {
+        for (const item of value.data) entries.push(item)
+      } else {
+        const { keys, values } = value.data
+        for (let i = 0; i < keys.length; i++) {
+          entries.push(new KVPair(keys[i], values[i]))
+        }
+      }
+    }
+  }
+
+  close () {
+    return this._enqueue('close')
+  }
+
+  /**
+   * Moves the iterator to `key`, encoded with `keyEncode`. The next
+   * call to `next()` or `batchNext()` starts reading from there.
+   *
+   * The leveldown iterator is ended once it reaches the end of
+   * the range, in that case seeking creates a new one.
+   */
+  seek (key) {
+    if (this.pendingNext || this._queue.length > 0) {
+      throw new Error('cannot seek() while next() is pending')
+    }
+    if (this.closed) {
+      throw new Error('cannot seek() after close()')
+    }
+    if (this._iterator === null) {
+      throw new Error('cannot seek() before the iterator is created')
+    }
+
+    const target = this.keyEncode(key)
+    if (this.finished) {
+      this._createIterator(this._iteratorOptions)
+      this.finished = false
+    }
+
+    this._iterator.seek(target)
+    this._landed = false
+  }
+
+  /**
+   * Called by `for await` loops on `break`, `return` or `throw`
+   * so that the leveldown iterator is ended.
+   */
+  async return (value) {
+    await this.close()
+    return new IteratorResult(true, value)
+  }
+
+  async throw (err) {
+    await this.close()
+    throw err
+  }
+
+  _createIterator (options) {
+    this._iteratorOptions = options
+    this._iterator = this._snapshot
+      ? new SnapshotIterator(this._snapshot, options)
+      : this.asyncLevel.leveldown.iterator(options)
+    this.asyncLevel._trackIterator(this)
+  }
+
+  _enqueue (method, size) {
+    return new Promise((resolve) => {
+      this._queue.push(new IteratorRequest(method, resolve, size))
+      if (!this.pendingNext) {
+        this._processQueue()
+      }
+    })
+  }
+
+  _processQueue () {
+    const request = this._queue.shift()
+    if (!request) return
+
+    this.pendingNext = true
+    let promise
+    if (request.method === 'next') {
+      promise = this._next()
+    } else if (request.method === 'batchNext') {
+      promise = this._batchNext(Infinity)
+    } else if (request.method === 'nextv') {
+      promise = this._batchNext(request.size)
+    } else {
+      promise = this._close()
+    }
+
+    promise.then((result) => {
+      this.pendingNext = false
+      request.resolve(result)
+      this._processQueue()
+    })
+  }
+
+  _next () {
+    if (this._iterator === null) {
+      return this._waitForIterator(() => this._next())
+    }
+
+    return this.asyncLevel._trackOp(new Promise((resolve) => {
+      if (this.finished) {
+        return resolve(new IteratorResult(true, null))
+      }
+      if (this.asyncLevel.status !== 'open') {
+        return resolve(this._notOpenResult('next'))
+      }
+
+      this._readEntry((err, key, value) => {
+        if (err) {
+          this._finish(resolve, err)
+          return
+        }
+
+        if (key === undefined && value === undefined) {
+          this._finish(resolve, null)
+          return
+        }
+
+        let decodedKey = null
+        if (this.mode !== 'values') {
+          try {
+            decodedKey = this.keyDecode(key)
+          } catch (err) {
+            const encErr = decodeError(err, 'keyDecode in next(): ')
+            this._finish(resolve, encErr)
+            return
+          }
+        }
+
+        let decoded = null
+        if (this.mode !== 'keys' && value !== null) {
+          try {
+            decoded = this.decode(value)
+          } catch (err) {
+            const encErr = decodeError(err, 'decode in next(): ')
+            this._finish(resolve, encErr)
+            return
+          }
+        }
+
+        this.asyncLevel._countBytes('bytesDecoded', [
+          this.mode === 'values' ? null : key,
+          this.mode === 'keys' ? null : value
+        ])
+        let data
+        if (this.mode === 'keys') {
+          data = decodedKey
+        } else if (this.mode === 'values') {
+          data = decoded
+        } else {
+          data = new KVPair(decodedKey, decoded)
+        }
+        resolve(new IteratorResult(false, new Result(null, data)))
+      })
+    }))
+  }
+
+  /**
+   * Reads the next entry that did not expire
+   */
+  _readEntry (cb) {
+    this._iterator.next((err, key, value) => {
+      if (err || (key === undefined && value === undefined)) {
+        return cb(err, key, value)
+      }
+
+      this.asyncLevel._skipExpired([key], [value], (err, keys) => {
+        if (err) return cb(err)
+        if (keys.length === 0) return this._readEntry(cb)
+        cb(null, key, value)
+      })
+    })
+  }
+
+  /**
+   * Like `_readBatch()` but drops the entries that expired
+   */
+  _readLiveBatch (cb, limit) {
+    this._readBatch((err, keys, values) => {
+      if (err || (keys === undefined && values === undefined)) {
+        return cb(err, keys, values)
+      }
+
+      const asyncLevel = this.asyncLevel
+      asyncLevel._skipExpired(keys, values, (err, liveKeys, liveValues) => {
+        if (err) return cb(err)
+        if (liveKeys.length === 0) return this._readLiveBatch(cb, limit)
+        cb(null, liveKeys, liveValues)
+      })
+    }, limit)
+  }
+
+  /**
+   * Reads what leveldown has cached, or up to `limit` entries
+   * when `limit` is finite. Entries past the limit stay in the
+   * leveldown cache for the next read.
+   */
+  _readBatch (cb, limit) {
+    const self = this
+    const keys = []
+    const values = []
+
+    self._iterator.next(onNext)
+
+    function onNext (err, key, value) {
+      if (err) {
+        return cb(err)
+      }
+
+      if (key === undefined && value === undefined) {
+        if (keys.length > 0 || values.length > 0) {
+          cb(null, keys, values)
+        } else {
+          cb()
+        }
+        return
+      }
+
+      keys.push(key)
+      values.push(value)
+      if (keys.length >= limit) {
+        return cb(null, keys, values)
+      }
+
+      let cache
+      if (typeof self._iterator.getCache === 'function') {
+        cache = self._iterator.getCache()
+      } else {
+        cache = self._iterator.cache
+      }
+      if (!cache) {
+        throw new Error('LevelDown does not have cache array')
+      }
+
+      if (!self._landed) {
+        self._landed = true
+        if (cache.length === 0) {
+          return self._iterator.next(onNext)
+        }
+      }
+
+      const count = Math.min(cache.length / 2, limit - keys.length)
+      for (let i = 0; i < count; i++) {
+        keys.push(cache[cache.length - 1 - 2 * i])
+        values.push(cache[cache.length - 2 - 2 * i])
+      }
+      cache.length -= 2 * count
+
+      if (limit !== Infinity && keys.length < limit) {
+        return self._iterator.next(onNext)
+      }
+      cb(null, keys, values)
+    }
+  }
+
+  _batchNext (limit) {
+    if (this._iterator === null) {
+      return this._waitForIterator(() => this._batchNext(limit))
+    }
+
+    return this.asyncLevel._trackOp(new Promise((resolve) => {
+      if (this.finished) {
+        return resolve(new IteratorResult(true, null))
+      }
+      if (this.asyncLevel.status !== 'open') {
+        return resolve(this._notOpenResult('batchNext'))
+      }
+
+      this._readLiveBatch((err, keys, values) => {
+        if (err) {
+          this._finish(resolve, err)
+          return
+        }
+
+        if (keys === undefined && values === undefined) {
+          this._finish(resolve, null)
+          return
+        }
+
+        const decodedKeys = []
+        for (const key of this.mode === 'values' ? [] : keys) {
+          let decodedKey
+          try {
+            decodedKey = this.keyDecode(key)
+          } catch (err) {
+            const encErr = decodeError(
+              err, 'keyDecode in batchNext(): '
+            )
+            this._finish(resolve, encErr)
+            return
+          }
+          decodedKeys.push(decodedKey)
+        }
+
+        const decodedValues = []
+        for (const value of this.mode === 'keys' ? [] : values) {
+          let decoded
+          try {
+            decoded = this.decode(value)
+          } catch (err) {
+            const encErr = decodeError(err, 'decode in batchNext(): ')
+            this._finish(resolve, encErr)
+            return
+          }
+          decodedValues.push(decoded)
+        }
+
+        this.asyncLevel._countBytes('bytesDecoded', [].concat(
+          this.mode === 'values' ? [] : keys,
+          this.mode === 'keys' ? [] : values
+        ))
+        let data
+        if (this.mode === 'keys') {
+          data = decodedKeys
+        } else if (this.mode === 'values') {
+          data = decodedValues
+        } else {
+          data = new MultiKVPair(decodedKeys, decodedValues)
+        }
+        resolve(new IteratorResult(false, new Result(null, data)))
+      }, limit)
+    }))
+  }
+
+  _finish (nextResolve, err) {
+    if (this.finished) {
+      return onFinish(null)
+    }
+
+    this.finished = true
+    this.asyncLevel._untrackIterator(this)
+    this._iterator.end(onFinish)
+
+    function onFinish (finishErr) {
+      if (err || finishErr) {
+        return nextResolve(new IteratorResult(
+          false, new Result(err || finishErr, null)
+        ))
+      }
+
+      return nextResolve(new IteratorResult(true, null))
+    }
+  }
+
+  [Symbol.asyncIterator] () {
+    return this
+  }
+
+  _notOpenResult (method) {
+    const err = new NotOpenError(method, this.asyncLevel.status)
+    return new IteratorResult(false, new Result(err, null))
+  }
+
+  /**
+   * Waits for a deferred leveldown iterator to be created. If the
+   * database failed to open the open error is returned once.
+   */
+  _waitForIterator (retry) {
+    return this._pendingIterator.then((result) => {
+      if (!result.err) {
+        return retry()
+      }
+
+      if (this.finished) {
+        return new IteratorResult(true, null)
+      }
+      this.finished = true
+      return new IteratorResult(false, result)
+    })
+  }
+
+  async _close () {
+    this.closed = true
+    if (this._iterator === null) {
+      const { err } = await this._pendingIterator
+      if (err) return new Result(null, null)
+    }
+
+    return new Promise((resolve) => {
+      this._finish((result) => {
+        const v = result.value
+        resolve(new Result(v && v.err ? v.err : null, null))
+      }, null)
+    })
+  }
+}
+
+/**
+ * Iterates the records of a secondary index in the order of their
+ * index keys. Entries are read in batches from the index and then
+ * resolved to their records with `getMany()`.
+ */
+class LevelAsyncIndexIterator {
+  constructor (index, options) {
+    const copyOpts = index._encodeRange(options)
+    this.index = index
+    this.limit = copyOpts.limit >= 0 ? copyOpts.limit : Infinity
+    delete copyOpts.limit
+
+    this._iterator = index.store.iterator(copyOpts)
+    this._entries = []
+    this._count = 0
+  }
+
+  async next () {
+    if (this._count >= this.limit) {
+      await this._iterator.close()
+      return new IteratorResult(true, undefined)
+    }
+
+    while (this._entries.length === 0) {
+      const { done, value } = await this._iterator.batchNext()
+      if (done || value.err) {
+        return new IteratorResult(done, value)
+      }
+
+      const { keys, values } = value.data
+      const result = await this.index._resolve(keys, values)
+      if (result.err) {
+        await this._iterator.close()
+        return new IteratorResult(false, result)
+      }
+      this._entries = result.data
+    }
+
+    this._count++
+    return new IteratorResult(false, new Result(null, this._entries.shift()))
+  }
+
+  /**
+   * Reads the remaining records into an array of `IndexEntry`
+   */
+  async all () {
+    const entries = []
+    while (true) {
+      const { done, value } = await this.next()
+      if (done) {
+        return new Result(null, entries)
+      }
+      if (value.err) {
+        return new Result(value.err, null)
+      }
+      entries.push(value.data)
+    }
+  }
+
+  close () {
+    return this._iterator.close()
+  }
+
+  async return (value) {
+    await this.close()
+    return new IteratorResult(true, value)
+  }
+
+  [Symbol.asyncIterator] () {
+    return this
+  }
+}
+
+class TransactionWrite {
+  constructor (op, rawValue) {
+    this.op = op
+    this.rawValue = rawValue
+  }
+}
+
+/**
+ * The `tx` passed to `fn` in `db.transaction(fn)`.
+ *
+ * Writes are buffered until the transaction commits and `get()`
+ * sees them. Reads are tracked by the `WriteTracker` of the
+ * database which marks the transaction as `conflicted` once
+ * another write to a key that it read finishes.
+ */
+class LevelAsyncTransaction {
+  constructor (asyncLevel) {
+    assert(asyncLevel, 'asyncLevel required')
+    this.asyncLevel = asyncLevel
+    this.conflicted = false
+    this.finished = false
+
+    // Encoded keys that were read as Buffers, by key id
+    this._reads = new Map()
+    // TransactionWrite by key id, the last write to a key wins
+    this._writes = new Map()
+    this._error = null
+  }
+
+  get (key, options) {
+    assert(!this.finished, 'cannot get() after the transaction finished')
+    const encoded = this.asyncLevel._encodeKeys('tx.get', [key], options)
+    if (encoded.err) return Promise.resolve(encoded)
+    const encodedKey = encoded.data[0]
+    const id = keyId(encodedKey)
+
+    const write = this._writes.get(id)
+    if (write) {
+      return Promise.resolve(this._readWrite(write, key, options))
+    }
+
+    this._reads.set(id, toBuffer(encodedKey))
+    return this.asyncLevel.get(key, options)
+  }
+
+  put (key, value, options) {
+    assert(!this.finished, 'cannot put() after the transaction finished')
+    return this._add(Object.assign({}, options, {
+      type: 'put', key, value
+    }), options)
+  }
+
+  del (key, options) {
+    assert(!this.finished, 'cannot del() after the transaction finished')
+    return this._add(Object.assign({}, options, {
+      type: 'del', key, value: undefined
+    }), options)
+  }
+
+  _add (op, options) {
+    let id
+    let rawValue
+    try {
+      id = keyId(this.asyncLevel._encodeKey(op.key, options))
+      if (op.type === 'put') {
+        rawValue = this.asyncLevel._getValueCodec(options).encode(op.value)
+      }
+    } catch (err) {
+      this._error = this._error || new EncodingError(
+        err, 'encode in tx.' + op.type + '() [' + op.key + ']: '
+      )
+      return this
+    }
+
+    this._writes.set(id, new TransactionWrite(op, rawValue))
+    return this
+  }
+
+  _readWrite (write, key, options) {
+    if (write.op.type === 'del') {
+      const notFoundErr = new NotFoundError(
+        'Key not found in database [' + key + ']'
+      )
+      return new Result(notFoundErr, null)
+    }
+
+    const valueCodec = this.asyncLevel._getValueCodec(options)
+    let rawValue = write.rawValue
+    if (valueCodec.buffer === true && !Buffer.isBuffer(rawValue)) {
+      rawValue = Buffer.from(rawValue)
+    } else if (valueCodec.buffer === false && Buffer.isBuffer(rawValue)) {
+      rawValue = rawValue.toString()
+    }
+
+    try {
+      return new Result(null, valueCodec.decode(rawValue))
+    } catch (err) {
+      return new Result(decodeError(err, 'decode in tx.get(): '), null)
+    }
+  }
+
+  async _run (fn) {
+    const tracker = this.asyncLevel._tracker
+    tracker.transactions.add(this)
+    try {
+      let data
+      try {
+        data = await fn(this)
+      } catch (err) {
+        return new Result(err, null)
+      }
+
+      const { err } = await this._commit()
+      return new Result(err, err ? null : data)
+    } finally {
+      this.finished = true
+      tracker.transactions.delete(this)
+    }
+  }
+
+  /**
+   * Checks for conflicts and calls `batch()` in the same tick so
+   * that no other write can start in between.
+   */
+  _commit () {
+    if (this._error) {
+      return Promise.resolve(new Result(this._error, null))
+    }
+    const tracker = this.asyncLevel._tracker
+    if (this.conflicted || tracker.isPending(this._reads)) {
+      return Promise.resolve(new Result(new ConflictError(), null))
+    }
+
+    const operations = []
+    for (const write of this._writes.values()) {
+      operations.push(write.op)
+    }
+    if (operations.length === 0) {
+      return Promise.resolve(new Result(null, null))
+    }
+    return this.asyncLevel.batch(operations)
+  }
+}
+
+/**
+ * A read-only view of the database at the time `db.snapshot()`
+ * was called.
+ *
+ * `leveldown` only has implicit snapshots, one per iterator, so the
+ * snapshot keeps a leveldown iterator open and serves every read by
+ * seeking it. Reads on one snapshot run one at a time.
+ */
+class LevelAsyncSnapshot {
+  constructor (asyncLevel) {
+    assert(asyncLevel, 'asyncLevel required')
+    this.asyncLevel = asyncLevel
+    this.released = false
+    this._iterator = null
+    // The SnapshotIterator that the leveldown iterator is positioned for
+    this._owner = null
+    // Tail of the reads waiting for the leveldown iterator
+    this._lock = Promise.resolve()
+
+    this._pendingIterator = asyncLevel._run('snapshot', () => {
+      this._iterator = asyncLevel.leveldown.iterator({
+        keyAsBuffer: true,
+        valueAsBuffer: true
+      })
+      asyncLevel._trackIterator(this)
+      return Promise.resolve(new Result(null, null))
+    })
+  }
+
+  get (key, options) {
+    const encoded = this.asyncLevel._encodeKeys(
+      'snapshot.get', [key], options
+    )
+    if (encoded.err) return Promise.resolve(encoded)
+    const encodedKey = encoded.data[0]
+    return this._read('get', async () => {
+      const { err, data } = await this._readMany(
+        [encodedKey], options, 'get'
+      )
+      if (err) {
+        return new Result(err, null)
+      }
+      if (data[0] === undefined) {
+        const notFoundErr = new NotFoundError(
+          'Key not found in database [' + key + ']'
+        )
+        return new Result(notFoundErr, null)
+      }
+      return new Result(null, data[0])
+    })
+  }
+
+  /**
+   * Like `db.getMany()`, missing keys are `undefined` in `data`
+   */
+  getMany (keys, options) {
+    const encoded = this.asyncLevel._encodeKeys(
+      'snapshot.getMany', keys, options
+    )
+    if (encoded.err) return Promise.resolve(encoded)
+    const encodedKeys = encoded.data
+    return this._read('getMany', () => {
+      return this._readMany(encodedKeys, options, 'getMany')
+    })
+  }
+
+  /**
+   * Like `db.iterator()` except that `reverse` is not supported
+   */
+  iterator (options) {
+    assert(
+      !options || !options.reverse,
+      'snapshot iterators do not support reverse'
+    )
+    return this.asyncLevel._iterator(options, 'entries', this)
+  }
+
+  /**
+   * Ends the leveldown iterator once the pending reads finished.
+   * `db.close()` releases the snapshots that are still open.
+   */
+  release () {
+    if (this.released) {
+      return Promise.resolve(new Result(null, null))
+    }
+
+    this.released = true
+    return this._exclusive(async () => {
+      await this._pendingIterator
+      if (this._iterator === null) {
+        return new Result(null, null)
+      }
+
+      this.asyncLevel._untrackIterator(this)
+      return new Promise((resolve) => {
+        this._iterator.end((err) => {
+          resolve(new Result(err || null, null))
+        })
+      })
+    })
+  }
+
+  close () {
+    return this.release()
+  }
+
+  _read (method, fn) {
+    if (this.released) {
+      const err = new SnapshotReleasedError(method)
+      return Promise.resolve(new Result(err, null))
+    }
+
+    return this.asyncLevel._trackOp(this._exclusive(async () => {
+      const { err } = await this._pendingIterator
+      if (err) {
+        return new Result(err, null)
+      }
+      return fn()
+    }))
+  }
+
+  _exclusive (fn) {
+    const result = this._lock.then(fn)
+    this._lock = result.catch(identity)
+    return result
+  }
+
+  _readMany (encodedKeys, options, method) {
+    const valueCodec = this.asyncLevel._getValueCodec(options)
+    const getOpts = withBufferOption(options, 'asBuffer', valueCodec)
+    const values = []
+
+    // The leveldown iterator is seeked away from any SnapshotIterator
+    this._owner = null
+    return new Promise((resolve) => {
+      const readNext = () => {
+        if (values.length === encodedKeys.length) {
+          return resolve(new Result(null, values))
+        }
+
+        const target = encodedKeys[values.length]
+        try {
+          this._iterator.seek(target)
+        } catch (err) {
+          return resolve(new Result(err, null))
+        }
+
+        this._iterator.next((err, key, value) => {
+          if (err) {
+            return resolve(new Result(err, null))
+          }
+          if (key === undefined || compareKeys(key, target) !== 0) {
+            values.push(undefined)
+            return readNext()
+          }
+
+          this.asyncLevel._skipExpired([key], [value], (err, liveKeys) => {
+            if (err) {
+              return resolve(new Result(err, null))
+            }
+            if (liveKeys.length === 0) {
+              values.push(undefined)
+              return readNext()
+            }
+            onValue(value)
+          })
+        })
+      }
+
+      const onValue = (value) => {
+        let decoded
+        try {
+          decoded = valueCodec.decode(fromBuffer(value, getOpts, 'asBuffer'))
+        } catch (err) {
+          const encErr = decodeError(
+            err, 'decode in ' + method + '(): '
+          )
+          return resolve(new Result(encErr, null))
+        }
+        values.push(decoded)
+        readNext()
+      }
+
+      readNext()
+    })
+  }
+}
+
+/**
+ * Implements the parts of the leveldown iterator interface that
+ * `LevelAsyncIterator` uses on top of the leveldown iterator of a
+ * snapshot, which is shared by all reads of the snapshot.
+ *
+ * The range and `limit` are applied here. Entries read after the
+ * first one are kept in `cache` like leveldown does.
+ */
+class SnapshotIterator {
+  constructor (snapshot, options) {
+    this.snapshot = snapshot
+    this.cache = []
+
+    const opts = options || {}
+    this._keyAsBuffer = opts.keyAsBuffer !== false
+    this._valueAsBuffer = opts.valueAsBuffer !== false
+    this._lower = null
+    this._lowerExclusive = false
+    this._upper = null
+    this._upperExclusive = false
+    if ('gt' in opts) {
+      this._lower = toBuffer(opts.gt)
+      this._lowerExclusive = true
+    } else if ('gte' in opts || 'start' in opts) {
+      this._lower = toBuffer('gte' in opts ? opts.gte : opts.start)
+    }
+    if ('lt' in opts) {
+      this._upper = toBuffer(opts.lt)
+      this._upperExclusive = true
+    } else if ('lte' in opts || 'end' in opts) {
+      this._upper = toBuffer('lte' in opts ? opts.lte : opts.end)
+    }
+    this._limit = opts.limit >= 0 ? opts.limit : Infinity
+
+    this._count = 0
+    this._done = false
+    // Set by seek(), where to read from next
+    this._target = null
+    // The last key read from the leveldown iterator
+    this._position = null
+  }
+
+  next (cb) {
+    if (this.cache.length > 0) {
+      process.nextTick(cb, null, this.cache.pop(), this.cache.pop())
+      return
+    }
+    if (this._done) {
+      process.nextTick(cb)
+      return
+    }
+
+    this.snapshot._read('next', () => this._fill()).then((result) => {
+      if (result.err) return cb(result.err)
+      if (result.data === null) return cb()
+      cb(null, result.data.key, result.data.value)
+    })
+  }
+
+  seek (target) {
+    this._target = toBuffer(target)
+    this._position = null
+    this._done = false
+    this.cache = []
+    if (this.snapshot._owner === this) {
+      this.snapshot._owner = null
+    }
+  }
+
+  end (cb) {
+    this._done = true
+    this.cache = []
+    if (this.snapshot._owner === this) {
+      this.snapshot._owner = null
+    }
+    process.nextTick(cb)
+  }
+
+  /**
+   * Reads from the leveldown iterator of the snapshot until at
+   * least one entry in range is found or the range is exhausted.
+   */
+  _fill () {
+    const iterator = this.snapshot._iterator
+    if (this.snapshot._owner !== this) {
+      let target = this._position || this._target || this._lower
+      if (this._target && this._lower &&
+        Buffer.compare(this._lower, this._target) > 0
+      ) {
+        target = this._position || this._lower
+      }
+
+      try {
+        // The empty key cannot be stored, \x00 is before every key
+        iterator.seek(target || Buffer.from([0]))
+      } catch (err) {
+        return Promise.resolve(new Result(err, null))
+      }
+      this.snapshot._owner = this
+    }
+
+    return new Promise((resolve) => {
+      const onNext = (err, key, value) => {
+        if (err) {
+          return resolve(new Result(err, null))
+        }
+        if (key === undefined && value === undefined) {
+          this._done = true
+          return resolve(new Result(null, null))
+        }
+
+        const keys = [key]
+        const values = [value]
+        const cache = iterator.cache || []
+        while (cache.length > 0) {
+          keys.push(cache.pop())
+          values.push(cache.pop())
+        }
+
+        const found = []
+        for (let i = 0; i < keys.length && !this._done; i++) {
+          this._accept(keys[i], values[i], found)
+        }
+
+        if (found.length === 0 && !this._done) {
+          return iterator.next(onNext)
+        }
+        if (found.length === 0) {
+          return resolve(new Result(null, null))
+        }
+
+        const first = found.shift()
+        for (let i = found.length - 1; i >= 0; i--) {
+          this.cache.push(found[i].value, found[i].key)
+        }
+        resolve(new Result(null, first))
+      }
+
+      iterator.next(onNext)
+    })
+  }
+
+  _accept (key, value, found) {
+    const position = this._position
+    this._position = key
+    if (position && Buffer.compare(key, position) <= 0) return
+
+    if (this._lower) {
+      const cmp = Buffer.compare(key, this._lower)
+      if (cmp < 0 || (cmp === 0 && this._lowerExclusive)) return
+    }
+    if (this._target && Buffer.compare(key, this._target) < 0) return
+
+    if (this._upper) {
+      const cmp = Buffer.compare(key, this._upper)
+      if (cmp > 0 || (cmp === 0 && this._upperExclusive)) {
+        this._done = true
+        return
+      }
+    }
+    if (this._count >= this._limit) {
+      this._done = true
+      return
+    }
+
+    this._count++
+    found.push(new KVPair(
+      this._keyAsBuffer ? key : key.toString(),
+      this._valueAsBuffer ? value : value.toString()
+    ))
+  }
+}
+
+/**
+ * The `db.promises` view. It calls the methods of `db` and resolves
+ * to `data` or rejects with `err` instead of returning `Result`s.
+ */
+class AsyncLevelPromises {
+  constructor (asyncLevel) {
+    assert(asyncLevel, 'asyncLevel required')
+    this.db = asyncLevel
+  }
+
+  get status () {
+    return this.db.status
+  }
+
+  open () {
+    return unwrap(this.db.open())
+  }
+
+  close () {
+    return unwrap(this.db.close())
+  }
+
+  put (key, value, options) {
+    return unwrap(this.db.put(key, value, options))
+  }
+
+  get (key, options) {
+    return unwrap(this.db.get(key, options))
+  }
+
+  getMany (keys, options) {
+    return unwrap(this.db.getMany(keys, options))
+  }
+
+  del (key, options) {
+    return unwrap(this.db.del(key, options))
+  }
+
+  batch (operations, options) {
+    if (operations === undefined) {
+      return new PromisesBatch(this.db.batch())
+    }
+    return unwrap(this.db.batch(operations, options))
+  }
+
+  clear (options) {
+    return unwrap(this.db.clear(options))
+  }
+
+  count (options) {
+    return unwrap(this.db.count(options))
+  }
+
+  update (key, fn, options) {
+    return unwrap(this.db.update(key, fn, options))
+  }
+
+  iterator (options) {
+    return new PromisesIterator(this.db.iterator(options))
+  }
+
+  keys (options) {
+    return new PromisesIterator(this.db.keys(options))
+  }
+
+  values (options) {
+    return new PromisesIterator(this.db.values(options))
+  }
+
+  sublevel (name, options) {
+    return this.db.sublevel(name, options).promises
+  }
+}
+
+class PromisesBatch {
+  constructor (batch) {
+    this.batch = batch
+  }
+
+  get length () {
+    return this.batch.length
+  }
+
+  put (key, value, options) {
+    this.batch.put(key, value, options)
+    return this
+  }
+
+  del (key, options) {
+    this.batch.del(key, options)
+    return this
+  }
+
+  clear () {
+    this.batch.clear()
+    return this
+  }
+
+  write (options) {
+    return unwrap(this.batch.write(options))
+  }
+}
+
+/**
+ * Wraps a `LevelAsyncIterator` so that `next()` resolves to
+ * `{ done, value }` with the data as `value` and rejects on error.
+ */
+class PromisesIterator {
+  constructor (iterator) {
+    this.iterator = iterator
+  }
+
+  next () {
+    return unwrapNext(this.iterator.next())
+  }
+
+  batchNext () {
+    return unwrapNext(this.iterator.batchNext())
+  }
+
+  nextv (size) {
+    return unwrapNext(this.iterator.nextv(size))
+  }
+
+  all () {
+    return unwrap(this.iterator.all())
+  }
+
+  seek (key) {
+    this.iterator.seek(key)
+  }
+
+  close () {
+    return unwrap(this.iterator.close())
+  }
+
+  return (value) {
+    return this.iterator.return(value)
+  }
+
+  throw (err) {
+    return this.iterator.throw(err)
+  }
+
+  [Symbol.asyncIterator] () {
+    return this
+  }
+}
+
+/**
+ * Reads an iterator with `batchNext()` whenever the consumer of
+ * the stream wants more data. The iterator is closed when the
+ * stream is destroyed, which happens on error & at the end.
+ */
+class LevelReadStream extends Readable {
+  constructor (iterator) {
+    super({ objectMode: true })
+    this.iterator = iterator
+    this._reading = false
+  }
+
+  _read () {
+    if (this._reading) return
+    this._reading = true
+
+    this.iterator.batchNext().then(({ done, value }) => {
+      this._reading = false
+      if (this.destroyed) return
+      if (done) {
+        this.push(null)
+        return
+      }
+      if (value.err) {
+        this.destroy(value.err)
+        return
+      }
+
+      const data = value.data
+      if (this.iterator.mode !== 'entries') {
+        for (const item of data) this.push(item)
+        return
+      }
+      for (let i = 0; i < data.keys.length; i++) {
+        this.push(new KVPair(data.keys[i], data.values[i]))
+      }
+    })
+  }
+
+  _destroy (err, cb) {
+    this.iterator.close().then(() => cb(err))
+  }
+}
+
+/**
+ * Groups the operations written to it into `batch()` calls of up
+ * to `batchSize` operations. With `flushInterval` the buffered
+ * operations are also written after that many milliseconds.
+ */
+class LevelWriteStream extends Writable {
+  constructor (asyncLevel, options) {
+    const batchSize = options.batchSize || 100
+    super({ objectMode: true, highWaterMark: batchSize })
+
+    this.asyncLevel = asyncLevel
+    this.batchSize = batchSize
+    this.flushInterval = options.flushInterval || 0
+    this._operations = []
+    this._timer = null
+    // Batches are written one after the other
+    this._flushing = Promise.resolve(null)
+  }
+
+  _write (operation, encoding, cb) {
+    const op = operation.type
+      ? operation : Object.assign({ type: 'put' }, operation)
+    this._operations.push(op)
+
+    if (this._operations.length >= this.batchSize) {
+      this._flush().then(this._destroyOnError(cb))
+      return
+    }
+    if (this.flushInterval > 0 && this._timer === null) {
+      this._timer = setTimeout(() => {
+        this._flush().then(this._destroyOnError(identity))
+      }, this.flushInterval)
+    }
+    cb()
+  }
+
+  _final (cb) {
+    this._flush().then(this._destroyOnError(cb))
+  }
+
+  /**
+   * Streams before Node.js 14 do not destroy themselves when a write
+   * fails so the stream is destroyed with the error explicitly
+   */
+  _destroyOnError (cb) {
+    return (err) => {
+      if (err) {
+        this.destroy(err)
+      } else {
+        cb()
+      }
+    }
+  }
+
+  _destroy (err, cb) {
+    clearTimeout(this._timer)
+    this._timer = null
+    cb(err)
+  }
+
+  /**
+   * Writes the buffered operations, resolves to the error if any
+   */
+  _flush () {
+    clearTimeout(this._timer)
+    this._timer = null
+
+    const operations = this._operations
+    this._operations = []
+    this._flushing = this._flushing.then(async (prevErr) => {
+      if (prevErr || operations.length === 0) return prevErr
+      const { err } = await this.asyncLevel.batch(operations)
+      return err
+    })
+    return this._flushing
+  }
+}
+
+/**
+ * Serializes entries for `db.exportTo()` in the `'binary'` or the
+ * `'ndjson'` format, see the README for both formats.
+ */
+class ExportWriter {
+  constructor (format) {
+    assert(
+      format === 'binary' || format === 'ndjson',
+      'format must be binary or ndjson'
+    )
+    this.format = format
+    this.count = 0
+    this._hash = crypto.createHash('sha256')
+  }
+
+  header () {
+    if (this.format === 'binary') {
+      return this._update(Buffer.concat([
+        EXPORT_MAGIC, Buffer.from([EXPORT_VERSION])
+      ]))
+    }
+    return this._update(Buffer.from(JSON.stringify({
+      format: 'async-level', version: EXPORT_VERSION
+    }) + '\n'))
+  }
+
+  entries (keys, values) {
+    const parts = []
+    for (let i = 0; i < keys.length; i++) {
+      if (this.format === 'binary') {
+        parts.push(uint32(keys[i].length), keys[i])
+        parts.push(uint32(values[i].length), values[i])
+      } else {
+        parts.push(Buffer.from(JSON.stringify({
+          key: keys[i].toString('base64'),
+          value: values[i].toString('base64')
+        }) + '\n'))
+      }
+    }
+    this.count += keys.length
+    return this._update(Buffer.concat(parts))
+  }
+
+  trailer () {
+    if (this.format === 'binary') {
+      const end = Buffer.alloc(12)
+      end.writeUInt32BE(EXPORT_END, 0)
+      // The count is a 64-bit big-endian integer
+      end.writeUInt32BE(Math.floor(this.count / 0x100000000), 4)
+      end.writeUInt32BE(this.count % 0x100000000, 8)
+      this._hash.update(end)
+      return Buffer.concat([end, this._hash.digest()])
+    }
+    return Buffer.from(JSON.stringify({
+      count: this.count, sha256: this._hash.digest('hex')
+    }) + '\n')
+  }
+
+  _update (chunk) {
+    this._hash.update(chunk)
+    return chunk
+  }
+}
+
+/**
+ * Parses an export written by `ExportWriter` incrementally. The
+ * format is detected from the first byte. Invalid data throws an
+ * `ExportFormatError`.
+ */
+class ExportReader {
+  constructor () {
+    this.format = null
+    this.count = 0
+    this.done = false
+    this.headerRead = false
+    this._buffer = Buffer.alloc(0)
+    this._hash = crypto.createHash('sha256')
+  }
+
+  /**
+   * Returns the entries that are complete in the data read so far
+   */
+  push (chunk) {
+    this._buffer = this._buffer.length > 0
+      ? Buffer.concat([this._buffer, chunk]) : chunk
+
+    const entries = []
+    while (this._step(entries));
+    return entries
+  }
+
+  end () {
+    if (!this.done) {
+      throw new ExportFormatError('the export is truncated')
+    }
+  }
+
+  _step (entries) {
+    const buf = this._buffer
+    if (this.done) {
+      if (buf.length > 0) {
+        throw new ExportFormatError('unexpected data after the trailer')
+      }
+      return false
+    }
+
+    if (this.format === null) {
+      if (buf.length === 0) return false
+      // '{' starts the header line of the ndjson format
+      this.format = buf[0] === 0x7b ? 'ndjson' : 'binary'
+    }
+    return this.format === 'binary'
+      ? this._stepBinary(buf, entries)
+      : this._stepLine(buf, entries)
+  }
+
+  _stepBinary (buf, entries) {
+    if (!this.headerRead) {
+      if (buf.length < EXPORT_MAGIC.length + 1) return false
+      if (!buf.slice(0, EXPORT_MAGIC.length).equals(EXPORT_MAGIC)) {
+        throw new ExportFormatError('missing header')
+      }
+      checkVersion(buf[EXPORT_MAGIC.length])
+      this.headerRead = true
+      this._consume(EXPORT_MAGIC.length + 1)
+      return true
+    }
+
+    if (buf.length < 4) return false
+    const keyLength = buf.readUInt32BE(0)
+    if (keyLength === EXPORT_END) {
+      if (buf.length < 12 + 32) return false
+      this._hash.update(buf.slice(0, 12))
+      this._checkTrailer(
+        buf.readUInt32BE(4) * 0x100000000 + buf.readUInt32BE(8),
+        buf.slice(12, 44).toString('hex')
+      )
+      this._buffer = buf.slice(44)
+      return true
+    }
+
+    if (buf.length < 8 + keyLength) return false
+    const valueLength = buf.readUInt32BE(4 + keyLength)
+    const size = 8 + keyLength + valueLength
+    if (buf.length < size) return false
+
+    entries.push(new KVPair(
+      Buffer.from(buf.slice(4, 4 + keyLength)),
+      Buffer.from(buf.slice(8 + keyLength, size))
+    ))
+    this.count++
+    this._consume(size)
+    return true
+  }
+
+  _stepLine (buf, entries) {
+    const index = buf.indexOf(0x0a)
+    if (index === -1) return false
+
+    let line
+    try {
+      line = JSON.parse(buf.slice(0, index).toString())
+    } catch (err) {
+      throw new ExportFormatError('invalid line: ' + err.message)
+    }
+
+    if (!this.headerRead) {
+      if (!line || line.format !== 'async-level') {
+        throw new ExportFormatError('missing header')
+      }
+      checkVersion(line.version)
+      this.headerRead = true
+    } else if (line && typeof line.sha256 === 'string') {
+      this._checkTrailer(line.count, line.sha256)
+      this._buffer = buf.slice(index + 1)
+      return true
+    } else {
+      if (!line || typeof line.key !== 'string' ||
+        typeof line.value !== 'string'
+      ) {
+        throw new ExportFormatError('invalid entry on line ' + this.count)
+      }
+      entries.push(new KVPair(
+        Buffer.from(line.key, 'base64'), Buffer.from(line.value, 'base64')
+      ))
+      this.count++
+    }
+
+    this._consume(index + 1)
+    return true
+  }
+
+  _checkTrailer (count, sha256) {
+    if (this._hash.digest('hex') !== sha256) {
+      throw new ExportFormatError('checksum mismatch')
+    }
+    if (count !== this.count) {
+      throw new ExportFormatError(
+        'expected ' + count + ' entries but read ' + this.count
+      )
+    }
+    this.done = true
+  }
+
+  _consume (size) {
+    this._hash.update(this._buffer.slice(0, size))
+    this._buffer = this._buffer.slice(size)
+  }
+}
+
+/**
+ * An in-memory store that implements the parts of the leveldown
+ * interface that `AsyncLevelDown` uses, see `AsyncLevel.memory()`.
+ *
+ * Keys & values are stored as Buffers in two arrays sorted by key.
+ * Iterators read from the arrays as they were when the iterator
+ * was created, the arrays are copied for open iterators before
+ * they are modified.
+ */
+class MemoryLevelDown {
+  constructor () {
+    this.status = 'new'
+    this._keys = []
+    this._values = []
+    // Iterators that still share the arrays with the store
+    this._iterators = new Set()
+  }
+
+  open (options, cb) {
+    if (typeof options === 'function') cb = options
+    this.status = 'open'
+    process.nextTick(cb, null)
+  }
+
+  close (cb) {
+    this.status = 'closed'
+    process.nextTick(cb, null)
+  }
+
+  get (key, options, cb) {
+    if (typeof options === 'function') cb = options
+    const err = checkKey(key)
+    if (err) return process.nextTick(cb, err)
+
+    const target = toBuffer(key)
+    const index = lowerBound(this._keys, target)
+    if (index === this._keys.length ||
+      !this._keys[index].equals(target)
+    ) {
+      return process.nextTick(cb, new Error('NotFound: '))
+    }
+
+    const value = this._values[index]
+    const asBuffer = !options || options.asBuffer !== false
+    process.nextTick(
+      cb, null, asBuffer ? Buffer.from(value) : value.toString()
+    )
+  }
+
+  put (key, value, options, cb) {
+    this.batch([new BatchOp('put', key, value)], options, cb)
+  }
+
+  del (key, options, cb) {
+    this.batch([new BatchOp('del', key, undefined)], options, cb)
+  }
+
+  batch (operations, options, cb) {
+    if (arguments.length === 0) {
+      return new MemoryChainedBatch(this)
+    }
+    if (typeof options === 'function') cb = options
+
+    // Checked first so that the batch is written completely or not
+    for (const op of operations) {
+      const err = checkKey(op.key) ||
+        (op.type === 'put' ? checkValue(op.value) : null)
+      if (err) return process.nextTick(cb, err)
+    }
+
+    this._detachIterators()
+    for (const op of operations) {
+      const key = Buffer.from(toBuffer(op.key))
+      const index = lowerBound(this._keys, key)
+      const exists = index < this._keys.length &&
+        this._keys[index].equals(key)
+
+      if (op.type === 'del') {
+        if (exists) {
+          this._keys.splice(index, 1)
+          this._values.splice(index, 1)
+        }
+      } else if (exists) {
+        this._values[index] = Buffer.from(toBuffer(op.value))
+      } else {
+        this._keys.splice(index, 0, key)
+        this._values.splice(index, 0, Buffer.from(toBuffer(op.value)))
+      }
+    }
+    process.nextTick(cb, null)
+  }
+
+  clear (options, cb) {
+    if (typeof options === 'function') cb = options
+    const opts = options || {}
+    const range = new MemoryRange(this._keys, opts)
+    let start = range.start
+    let end = range.end
+    if (opts.limit >= 0) {
+      if (opts.reverse) {
+        start = Math.max(start, end - opts.limit)
+      } else {
+        end = Math.min(end, start + opts.limit)
+      }
+    }
+
+    if (end > start) {
+      this._detachIterators()
+      this._keys.splice(start, end - start)
+      this._values.splice(start, end - start)
+    }
+    process.nextTick(cb, null)
+  }
+
+  iterator (options) {
+    const itr = new MemoryIterator(this, options || {})
+    this._iterators.add(itr)
+    return itr
+  }
+
+  _detachIterators () {
+    for (const itr of this._iterators) {
+      itr._keys = itr._keys.slice()
+      itr._values = itr._values.slice()
+    }
+    this._iterators.clear()
+  }
+}
+
+class MemoryChainedBatch {
+  constructor (db) {
+    this.db = db
+    this._operations = []
+  }
+
+  put (key, value) {
+    const err = checkKey(key) || checkValue(value)
+    if (err) throw err
+    this._operations.push(new BatchOp('put', key, value))
+    return this
+  }
+
+  del (key) {
+    const err = checkKey(key)
+    if (err) throw err
+    this._operations.push(new BatchOp('del', key, undefined))
+    return this
+  }
+
+  clear () {
+    this._operations = []
+    return this
+  }
+
+  write (options, cb) {
+    if (typeof options === 'function') cb = options
+    this.db.batch(this._operations, options, cb)
+  }
+}
+
+/**
+ * The indexes `[start, end)` of the keys in the range of `options`
+ * like leveldown applies `gt`, `gte`, `lt`, `lte`, `start` & `end`.
+ * Empty range options are ignored.
+ */
+class MemoryRange {
+  constructor (keys, options) {
+    const bound = (name) => {
+      const value = options[name]
+      if (value === undefined || value === null) return null
+      const buf = toBuffer(value)
+      return buf.length > 0 ? buf : null
+    }
+
+    const lower = [
+      [bound('gt'), true],
+      [bound('gte'), false],
+      [bound(options.reverse ? 'end' : 'start'), false]
+    ]
+    const upper = [
+      [bound('lt'), true],
+      [bound('lte'), false],
+      [bound(options.reverse ? 'start' : 'end'), false]
+    ]
+
+    this.lower = lower.filter((b) => b[0] !== null)
+    this.upper = upper.filter((b) => b[0] !== null)
+    this.start = 0
+    this.end = keys.length
+    for (const [key, exclusive] of this.lower) {
+      const index = exclusive ? upperBound(keys, key) : lowerBound(keys, key)
+      this.start = Math.max(this.start, index)
+    }
+    for (const [key, exclusive] of this.upper) {
+      const index = exclusive ? lowerBound(keys, key) : upperBound(keys, key)
+      this.end = Math.min(this.end, index)
+    }
+  }
+
+  contains (target) {
+    for (const [key, exclusive] of this.lower) {
+      const cmp = Buffer.compare(target, key)
+      if (cmp < 0 || (cmp === 0 && exclusive)) return false
+    }
+    for (const [key, exclusive] of this.upper) {
+      const cmp = Buffer.compare(target, key)
+      if (cmp > 0 || (cmp === 0 && exclusive)) return false
+    }
+    return true
+  }
+}
+
+/**
+ * Iterator of `MemoryLevelDown`. Like leveldown the first `next()`
+ * after creating the iterator or after `seek()` reads one entry
+ * and later calls fill `cache` with up to 1000 entries or
+ * `highWaterMark` bytes.
+ */
+class MemoryIterator {
+  constructor (db, options) {
+    this.db = db
+    this.cache = null
+    this._keys = db._keys
+    this._values = db._values
+
+    this._reverse = Boolean(options.reverse)
+    this._readKeys = options.keys !== false
+    this._readValues = options.values !== false
+    this._keyAsBuffer = options.keyAsBuffer !== false
+    this._valueAsBuffer = options.valueAsBuffer !== false
+    this._limit = options.limit >= 0 ? options.limit : Infinity
+    this._highWaterMark = options.highWaterMark || 16 * 1024
+    this._range = new MemoryRange(this._keys, options)
+
+    this._count = 0
+    this._landed = false
+    this._ended = false
+    this._position = this._reverse ? this._range.end - 1 : this._range.start
+  }
+
+  next (cb) {
+    if (this._ended) {
+      return process.nextTick(cb, new Error('cannot call next() after end()'))
+    }
+    if (this.cache && this.cache.length > 0) {
+      return process.nextTick(cb, null, this.cache.pop(), this.cache.pop())
+    }
+
+    const entries = []
+    let size = 0
+    while (this._inRange() && this._count < this._limit) {
+      const key = this._keys[this._position]
+      const value = this._values[this._position]
+      this._position += this._reverse ? -1 : 1
+      this._count++
+      entries.push(key, value)
+      size += (this._readKeys ? key.length : 0) +
+        (this._readValues ? value.length : 0)
+
+      if (!this._landed) {
+        this._landed = true
+        break
+      }
+      if (size > this._highWaterMark || entries.length >= 2000) break
+    }
+
+    // leveldown pops the key & then the value from the end
+    this.cache = []
+    for (let i = entries.length - 2; i >= 0; i -= 2) {
+      this.cache.push(
+        this._format(entries[i + 1], this._readValues, this._valueAsBuffer),
+        this._format(entries[i], this._readKeys, this._keyAsBuffer)
+      )
+    }
+
+    if (this.cache.length === 0) {
+      return process.nextTick(cb)
+    }
+    process.nextTick(cb, null, this.cache.pop(), this.cache.pop())
+  }
+
+  seek (target) {
+    if (this._ended) {
+      throw new Error('cannot call seek() after end()')
+    }
+
+    const key = toBuffer(target)
+    if (key.length === 0) {
+      throw new Error('cannot seek() to an empty target')
+    }
+
+    this.cache = null
+    this._landed = false
+    if (!this._range.contains(key)) {
+      this._position = this._reverse ? -1 : this._keys.length
+    } else if (this._reverse) {
+      this._position = upperBound(this._keys, key) - 1
+    } else {
+      this._position = lowerBound(this._keys, key)
+    }
+  }
+
+  end (cb) {
+    if (this._ended) {
+      return process.nextTick(cb, new Error('end() already called'))
+    }
+
+    this._ended = true
+    this.cache = null
+    this.db._iterators.delete(this)
+    process.nextTick(cb, null)
+  }
+
+  _inRange () {
+    return this._position >= this._range.start &&
+      this._position < this._range.end
+  }
+
+  _format (buf, read, asBuffer) {
+    if (!read) return asBuffer ? Buffer.alloc(0) : ''
+    return asBuffer ? Buffer.from(buf) : buf.toString()
+  }
+}
+
+AsyncLevelDown.registerEncoding('id', {
+  encode: identity,
+  decode: identity,
+  buffer: undefined
+})
+AsyncLevelDown.registerEncoding('utf8', {
+  encode: (data) => Buffer.isBuffer(data)
+    ? data.toString('utf8') : String(data),
+  decode: (data) => Buffer.isBuffer(data)
+    ? data.toString('utf8') : data,
+  buffer: false
+})
+AsyncLevelDown.registerEncoding('json', {
+  encode: JSON.stringify,
+  decode: JSON.parse,
+  buffer: false
+})
+AsyncLevelDown.registerEncoding('binary', {
+  encode: (data) => Buffer.isBuffer(data) ? data : Buffer.from(data),
+  decode: identity,
+  buffer: true
+})
+AsyncLevelDown.registerEncoding('buffer', encodings.get('binary'))
+AsyncLevelDown.registerEncoding('hex', {
+  encode: (data) => Buffer.isBuffer(data) ? data : Buffer.from(data, 'hex'),
+  decode: (data) => data.toString('hex'),
+  buffer: true
+})
+AsyncLevelDown.registerEncoding('base64', {
+  encode: (data) => Buffer.isBuffer(data)
+    ? data : Buffer.from(data, 'base64'),
+  decode: (data) => data.toString('base64'),
+  buffer: true
+})
+AsyncLevelDown.registerEncoding('view', {
+  encode: (data) => data instanceof Uint8Array
+    ? Buffer.from(data.buffer, data.byteOffset, data.byteLength)
+    : Buffer.from(data),
+  decode: (data) => new Uint8Array(
+    data.buffer, data.byteOffset, data.byteLength
+  ),
+  buffer: true
+})
+
+module.exports = AsyncLevelDown
+
+function identity (x) { return x }
+
+async function unwrap (promise) {
+  const { err, data } = await promise
+  if (err) throw err
+  return data
+}
+
+async function unwrapNext (promise) {
+  const { done, value } = await promise
+  if (done) return new IteratorResult(true, undefined)
+  if (value.err) throw value.err
+  return new IteratorResult(false, value.data)
+}
+
+/**
+ * Resolves `valueEncoding` / `keyEncoding` which is either the name
+ * of a registered codec or an object with `encode` & `decode`.
+ */
+function getEncoding (encoding) {
+  if (typeof encoding === 'string') {
+    const codec = encodings.get(encoding)
+    if (!codec) {
+      throw new Error('Unknown encoding: ' + encoding)
+    }
+    return codec
+  }
+
+  if (
+    !encoding ||
+    typeof encoding.encode !== 'function' ||
+    typeof encoding.decode !== 'function'
+  ) {
+    throw new Error('encoding must be a name or { encode, decode }')
+  }
+  if (encoding instanceof Codec) return encoding
+
+  return new Codec(
+    encoding.type || 'custom', encoding.encode, encoding.decode,
+    encoding.buffer
+  )
+}
+
+/**
+ * Only sets the `asBuffer` style option of leveldown if the codec
+ * has a preference and the caller did not set it explicitly.
+ */
+function withBufferOption (options, key, codec) {
+  if (codec.buffer === undefined) return options || null
+  if (options && options[key] !== undefined) return options
+
+  const copyOpts = Object.assign({}, options)
+  copyOpts[key] = codec.buffer
+  return copyOpts
+}
+
+/**
+ * Converts a Buffer read from leveldown to a string if the
+ * `asBuffer` style option `key` is `false`.
+ */
+function fromBuffer (value, options, key) {
+  return options && options[key] === false ? value.toString() : value
+}
+
+function toBuffer (key) {
+  return Buffer.isBuffer(key) ? key : Buffer.from(String(key))
+}
+
+function hasPrefix (key, prefix) {
+  const buf = toBuffer(key)
+  return buf.length >= prefix.length &&
+    buf.compare(prefix, 0, prefix.length, 0, prefix.length) === 0
+}
+
+function compareKeys (a, b) {
+  return Buffer.compare(toBuffer(a), toBuffer(b))
+}
+
+/**
+ * Returns the index of the first key that is `>= target`
+ */
+function lowerBound (keys, target) {
+  let low = 0
+  let high = keys.length
+  while (low < high) {
+    const mid = (low + high) >>> 1
+    if (Buffer.compare(keys[mid], target) < 0) {
+      low = mid + 1
+    } else {
+      high = mid
+    }
+  }
+  return low
+}
+
+/**
+ * Returns the index of the first key that is `> target`
+ */
+function upperBound (keys, target) {
+  let low = 0
+  let high = keys.length
+  while (low < high) {
+    const mid = (low + high) >>> 1
+    if (Buffer.compare(keys[mid], target) <= 0) {
+      low = mid + 1
+    } else {
+      high = mid
+    }
+  }
+  return low
+}
+
+/**
+ * The key & value checks of `abstract-leveldown`
+ */
+function checkKey (key) {
+  if (key === null || key === undefined) {
+    return new Error('key cannot be `null` or `undefined`')
+  } else if (Buffer.isBuffer(key) && key.length === 0) {
+    return new Error('key cannot be an empty Buffer')
+  } else if (key === '') {
+    return new Error('key cannot be an empty String')
+  }
+  return null
+}
+
+function checkValue (value) {
+  if (value === null || value === undefined) {
+    return new Error('value cannot be `null` or `undefined`')
+  }
+  return null
+}
+
+/**
+ * Returns the raw operations that update the secondary indexes for
+ * `writes`, where `oldValues` are the values before the write.
+ */
+function indexOperations (writes, oldValues) {
+  // A key written twice in one batch replaces its first write
+  const current = new Map()
+  const operations = []
+  for (let i = 0; i < writes.length; i++) {
+    const { indexes, rawOp } = writes[i]
+    const id = keyId(rawOp.key)
+    const oldValue = current.has(id) ? current.get(id) : oldValues[i]
+    const newValue = rawOp.type === 'put' ? toBuffer(rawOp.value) : undefined
+    current.set(id, newValue)
+
+    for (const index of indexes.values()) {
+      for (const op of index.operations(rawOp.key, oldValue, newValue)) {
+        operations.push(op)
+      }
+    }
+  }
+  return operations
+}
+
+/**
+ * Wraps an error thrown while decoding in an `EncodingError`, a
+ * `DecryptionError` is returned as it is
+ */
+function decodeError (err, prefix) {
+  return err instanceof DecryptionError ? err : new EncodingError(err, prefix)
+}
+
+/**
+ * Loads `diagnostics_channel` only when the option is used as the
+ * module does not exist before Node.js 14.17
+ */
+function loadDiagnosticsChannel () {
+  try {
+    return require('diagnostics_channel')
+  } catch (err) {
+    throw new Error(
+      'options.diagnosticsChannel requires the diagnostics_channel ' +
+      'module of Node.js 14.17 or later'
+    )
+  }
+}
+
+function mapToObject (map) {
+  const obj = {}
+  for (const [key, value] of map) obj[key] = value
+  return obj
+}
+
+/**
+ * Returns the error of a `Result` or of an iterator `Result`
+ */
+function resultError (result) {
+  if (result instanceof IteratorResult) {
+    return result.value ? result.value.err : null
+  }
+  return result.err
+}
+
+function byteLength (value) {
+  return Buffer.isBuffer(value)
+    ? value.length : Buffer.byteLength(String(value))
+}
+
+/**
+ * Decodes a Buffer with a codec that may expect a string
+ */
+function decodeRaw (codec, buf) {
+  return codec.decode(codec.buffer === false ? buf.toString() : buf)
+}
+
+/**
+ * Wraps a value codec so that `transforms` are applied to the
+ * encoded value, which is always read as a Buffer
+ */
+function transformCodec (codec, transforms) {
+  return new Codec(codec.type, (value) => {
+    let buf = toEncodedBuffer(codec.encode(value))
+    for (const transform of transforms) buf = transform.encode(buf)
+    return buf
+  }, (buf) => {
+    for (let i = transforms.length - 1; i >= 0; i--) {
+      buf = transforms[i].decode(buf)
+    }
+    return codec.decode(codec.buffer === false ? buf.toString() : buf)
+  }, true)
+}
+
+/**
+ * The length of the `!name!` prefixes at the start of `buf`
+ */
+function sublevelPrefixLength (buf) {
+  let length = 0
+  while (buf[length] === 0x21) {
+    const end = buf.indexOf(0x21, length + 1)
+    if (end === -1) break
+    length = end + 1
+  }
+  return length
+}
+
+function toEncodedBuffer (value) {
+  if (ArrayBuffer.isView(value)) {
+    return Buffer.from(value.buffer, value.byteOffset, value.byteLength)
+  }
+  return toBuffer(value)
+}
+
+function compress (algorithm, buf) {
+  switch (algorithm) {
+    case 'gzip': return zlib.gzipSync(buf)
+    case 'deflate': return zlib.deflateSync(buf)
+    case 'brotli': return zlib.brotliCompressSync(buf)
+  }
+}
+
+function withHeader (header, buf) {
+  return Buffer.concat([Buffer.from([header]), buf])
+}
+
+function uint32 (n) {
+  const buf = Buffer.alloc(4)
+  buf.writeUInt32BE(n, 0)
+  return buf
+}
+
+function checkVersion (version) {
+  if (version !== EXPORT_VERSION) {
+    throw new ExportFormatError('unsupported version ' + version)
+  }
+}
+
+/**
+ * Writes to a stream & waits for `drain` if its buffer is full
+ */
+function writeChunk (writable, chunk) {
+  return new Promise((resolve, reject) => {
+    if (writable.destroyed) {
+      return reject(new Error('cannot export to a destroyed stream'))
+    }
+    if (writable.write(chunk)) {
+      return resolve()
+    }
+
+    const cleanup = () => {
+      writable.removeListener('drain', onDrain)
+      writable.removeListener('error', onError)
+      writable.removeListener('close', onClose)
+    }
+    const onDrain = () => {
+      cleanup()
+      resolve()
+    }
+    const onError = (err) => {
+      cleanup()
+      reject(err)
+    }
+    const onClose = () => {
+      cleanup()
+      reject(new Error('the stream closed before the export finished'))
+    }
+    writable.on('drain', onDrain)
+    writable.on('error', onError)
+    writable.on('close', onClose)
+  })
+}
+
+/**
+ * Reads the raw keys of a range straight from leveldown
+ */
+function readKeys (leveldown, options) {
+  const itr = leveldown.iterator(Object.assign({
+    values: false,
+    keyAsBuffer: true
+  }, options))
+  const keys = []
+
+  return new Promise((resolve) => {
+    const onNext = (err, key) => {
+      if (err || key === undefined) {
+        return itr.end((endErr) => {
+          const readErr = err || endErr || null
+          resolve(new Result(readErr, readErr ? null : keys))
+        })
+      }
+
+      keys.push(key)
+      itr.next(onNext)
+    }
+    itr.next(onNext)
+  })
+}
+
+/**
+ * Identifies an encoded key by its bytes, whether it is a string
+ * or a Buffer.
+ */
+function keyId (key) {
+  return toBuffer(key).toString('latin1')
+}
+
+/**
+ * Whether the Buffer `key` is inside of an encoded leveldown range
+ */
+function inRange (key, range) {
+  if ('gt' in range && compareKeys(key, range.gt) <= 0) return false
+  if ('gte' in range && compareKeys(key, range.gte) < 0) return false
+  if ('lt' in range && compareKeys(key, range.lt) >= 0) return false
+  if ('lte' in range && compareKeys(key, range.lte) > 0) return false
+  return true
+}
+
+/**
+ * Returns the common prefix of all children of an array key, e.g.
+ * `'KJfoo"'` for `['foo']` with charwise, which is the encoded
+ * array up to where it differs from `prefix.concat([''])` plus the
+ * separator that follows.
+ */
+function arrayPrefix (encoded, encodedChild) {
+  let i = 0
+  while (i < encoded.length && encoded[i] === encodedChild[i]) i++
+  return encodedChild.slice(0, i + 1)
+}
+
+/**
+ * Returns the smallest key that is greater than every key starting
+ * with `key`, or `null` if there is no such key.
+ */
+function incrementKey (key) {
+  if (Buffer.isBuffer(key)) {
+    const upper = Buffer.from(key)
+    for (let i = upper.length - 1; i >= 0; i--) {
+      if (upper[i] < 0xff) {
+        upper[i]++
+        return upper.slice(0, i + 1)
+      }
+    }
+    return null
+  }
+
+  const str = String(key)
+  for (let i = str.length - 1; i >= 0; i--) {
+    const code = str.charCodeAt(i)
+    if (code < 0xffff) {
+      return str.slice(0, i) + String.fromCharCode(code + 1)
+    }
+  }
+  return null
+}
+
+/**
+ * A sublevel uses the codecs of its parent for any encoding that
+ * is not configured in its own options.
+ */
+function inheritCodecs (options, parent) {
+  const merged = Object.assign({}, options)
+  if (!options.valueEncoding) {
+    merged.valueEncoding = parent.valueEncoding
+    merged.encode = options.encode || parent.encode
+    merged.decode = options.decode || parent.decode
+  }
+  if (!options.keyEncoding) {
+    merged.keyEncoding = parent.keyEncoding
+    merged.keyEncode = options.keyEncode || parent.keyEncode
+    merged.keyDecode = options.keyDecode || parent.keyDecode
+  }
+  return merged
+}
 
 function assert (val, msg) {
   if (!val) {
@@ -3,6 +3,7 @@
 const os = require('os')
 const path = require('path')
 const util = require('util')
+const stream = require('stream')
 
 const LevelDown = require('leveldown')
 const uuid = require('uuid')
@@ -11,6 +12,18 @@ const charwise = require('charwise-compact')
 
 const AsyncLevel = require('../index.js')
 
+const pipeline = util.promisify(stream.pipeline)
+const finished = util.promisify(stream.finished)
+
+// diagnostics_channel.subscribe() needs Node.js 16.17 or later
+let diagnosticsChannel = null
+try {
+  diagnosticsChannel = require('diagnostics_channel')
+} catch (_) {}
+const hasSubscribe = Boolean(
+  diagnosticsChannel && diagnosticsChannel.subscribe
+)
+
 test('AsyncLevel is a fn', (assert) => {
   assert.ok(typeof AsyncLevel === 'function')
   assert.end()
@@ -583,6 +596,2264 @@ test('charwise encode UTF8 iterator', async (assert) => {
   }
 })
 
+test('sublevel scopes keys & ranges', async (assert) => {
+  const dbPath = path.join(os.tmpdir(), uuid())
+  const levelDB = new AsyncLevel(LevelDown(dbPath), {})
+
+  await levelDB.open()
+
+  const users = levelDB.sublevel('users', {
+    encode: JSON.stringify,
+    decode: JSON.parse
+  })
+  const posts = levelDB.sublevel('posts')
+
+  await levelDB.put('a', 'root')
+  await users.put('a', { name: 'alice' })
+  await users.put('b', { name: 'bob' })
+  await posts.put('a', 'post')
+
+  const r1 = await users.get('a')
+  assert.ifError(r1.err)
+  assert.deepEqual(r1.data, { name: 'alice' })
+
+  const r2 = await levelDB.get('!users!a', { asBuffer: false })
+  assert.ifError(r2.err)
+  assert.equal(r2.data, '{"name":"alice"}')
+
+  const r3 = await posts.get('b')
+  assert.ok(r3.err)
+  assert.ok(r3.err.notFound)
+
+  const values1 = await drainIterator(users.iterator({
+    keyAsBuffer: false
+  }))
+  assert.deepEqual(values1, [
+    { key: 'a', value: { name: 'alice' } },
+    { key: 'b', value: { name: 'bob' } }
+  ])
+
+  const values2 = await drainIterator(users.iterator({
+    gt: 'a',
+    keyAsBuffer: false
+  }))
+  assert.deepEqual(values2, [
+    { key: 'b', value: { name: 'bob' } }
+  ])
+
+  const itr = users.iterator({ keyAsBuffer: false })
+  const r4 = await itr.batchNext()
+  assert.ifError(r4.value.err)
+  assert.deepEqual(r4.value.data.keys, ['a', 'b'])
+  await itr.close()
+
+  const r5 = await users.clear()
+  assert.ifError(r5.err)
+
+  const values3 = await drainIterator(levelDB.iterator({
+    keyAsBuffer: false,
+    valueAsBuffer: false
+  }))
+  assert.deepEqual(values3, [
+    { key: '!posts!a', value: 'post' },
+    { key: 'a', value: 'root' }
+  ])
+
+  await levelDB.close()
+  await util.promisify((cb) => {
+    LevelDown.destroy(dbPath, cb)
+  })()
+  assert.end()
+})
+
+test('nested sublevels & batch across sublevels', async (assert) => {
+  const dbPath = path.join(os.tmpdir(), uuid())
+  const levelDB = new AsyncLevel(LevelDown(dbPath), {})
+
+  await levelDB.open()
+
+  const app = levelDB.sublevel('app')
+  const sessions = app.sublevel('sessions', {
+    keyEncode: charwise.encode
+  })
+
+  const { err } = await levelDB.batch([
+    { type: 'put', key: 'root', value: 'one' },
+    { type: 'put', key: 'foo', value: 'two', sublevel: app },
+    { type: 'put', key: ['s', 1], value: 'three', sublevel: sessions }
+  ])
+  assert.ifError(err)
+
+  const r1 = await app.get('foo', { asBuffer: false })
+  assert.ifError(r1.err)
+  assert.equal(r1.data, 'two')
+
+  const r2 = await sessions.get(['s', 1], { asBuffer: false })
+  assert.ifError(r2.err)
+  assert.equal(r2.data, 'three')
+
+  const values1 = await drainIterator(app.iterator({
+    keyAsBuffer: false,
+    valueAsBuffer: false
+  }))
+  assert.deepEqual(values1, [
+    { key: '!sessions!KJs"FE500M1!', value: 'three' },
+    { key: 'foo', value: 'two' }
+  ])
+
+  const values2 = await drainIterator(sessions.iterator({
+    gte: ['s', charwise.LO],
+    lte: ['s', charwise.HI],
+    valueAsBuffer: false
+  }))
+  assert.equal(values2.length, 1)
+  assert.ok(Buffer.isBuffer(values2[0].key))
+  assert.equal(values2[0].key.toString(), 'KJs"FE500M1!')
+
+  await levelDB.close()
+  await util.promisify((cb) => {
+    LevelDown.destroy(dbPath, cb)
+  })()
+  assert.end()
+})
+
+test('charwise keyDecode in next() & batchNext()', async (assert) => {
+  const dbPath = path.join(os.tmpdir(), uuid())
+  const levelDB = new AsyncLevel(LevelDown(dbPath), {
+    encode: JSON.stringify,
+    decode: JSON.parse,
+    keyEncoding: charwise
+  })
+
+  await levelDB.open()
+
+  await levelDB.batch([
+    { type: 'put', key: ['foo', 1], value: 'one' },
+    { type: 'put', key: ['foo', 2], value: 'two' },
+    { type: 'put', key: ['bar', 1], value: 'three' }
+  ])
+
+  const values1 = await drainIterator(levelDB.iterator({
+    gte: ['foo', charwise.LO],
+    lte: ['foo', charwise.HI],
+    keyAsBuffer: false
+  }))
+  assert.deepEqual(values1, [
+    { key: ['foo', 1], value: 'one' },
+    { key: ['foo', 2], value: 'two' }
+  ])
+
+  const itr = levelDB.iterator({
+    gte: [charwise.LO],
+    lte: [charwise.HI],
+    keyAsBuffer: false
+  })
+  const r = await itr.batchNext()
+  assert.ifError(r.value.err)
+  assert.deepEqual(r.value.data.keys, [
+    ['bar', 1], ['foo', 1], ['foo', 2]
+  ])
+  assert.deepEqual(r.value.data.values, ['three', 'one', 'two'])
+  await itr.close()
+
+  await levelDB.close()
+  await util.promisify((cb) => {
+    LevelDown.destroy(dbPath, cb)
+  })()
+  assert.end()
+})
+
+test('keyDecode errors are EncodingErrors', async (assert) => {
+  const dbPath = path.join(os.tmpdir(), uuid())
+  const levelDB = new AsyncLevel(LevelDown(dbPath), {
+    keyDecode: JSON.parse
+  })
+
+  await levelDB.open()
+
+  await levelDB.put('not json', 'one')
+
+  const itr = levelDB.iterator({ keyAsBuffer: false })
+  const r = await itr.next()
+  assert.equal(r.done, false)
+  assert.ok(r.value.err)
+  assert.equal(r.value.err.name, 'EncodingError')
+  assert.ok(/keyDecode in next\(\)/.test(r.value.err.message))
+
+  const r2 = await itr.next()
+  assert.ok(r2.done)
+
+  await levelDB.close()
+  await util.promisify((cb) => {
+    LevelDown.destroy(dbPath, cb)
+  })()
+  assert.end()
+})
+
+test('valueEncoding & keyEncoding by name', async (assert) => {
+  const dbPath = path.join(os.tmpdir(), uuid())
+  const levelDB = new AsyncLevel(LevelDown(dbPath), {
+    valueEncoding: 'json',
+    keyEncoding: 'utf8'
+  })
+
+  await levelDB.open()
+
+  await levelDB.put('foo', { hello: 'world' })
+  const r1 = await levelDB.get('foo')
+  assert.ifError(r1.err)
+  assert.deepEqual(r1.data, { hello: 'world' })
+
+  const r2 = await levelDB.get('foo', { valueEncoding: 'utf8' })
+  assert.ifError(r2.err)
+  assert.equal(r2.data, '{"hello":"world"}')
+
+  const r3 = await levelDB.get('foo', { valueEncoding: 'hex' })
+  assert.ifError(r3.err)
+  assert.equal(r3.data, Buffer.from('{"hello":"world"}').toString('hex'))
+
+  const { err } = await levelDB.batch([
+    { type: 'put', key: 'bin', value: 'AQID', valueEncoding: 'base64' },
+    { type: 'put', key: 'view', value: new Uint8Array([4, 5]) }
+  ], { valueEncoding: 'view' })
+  assert.ifError(err)
+
+  const r4 = await levelDB.get('bin', { valueEncoding: 'buffer' })
+  assert.ifError(r4.err)
+  assert.ok(Buffer.isBuffer(r4.data))
+  assert.deepEqual([...r4.data], [1, 2, 3])
+
+  const r5 = await levelDB.get('view', { valueEncoding: 'view' })
+  assert.ifError(r5.err)
+  assert.ok(r5.data instanceof Uint8Array)
+  assert.deepEqual([...r5.data], [4, 5])
+
+  const values = await drainIterator(levelDB.iterator({
+    gte: 'foo',
+    lte: 'foo'
+  }))
+  assert.deepEqual(values, [{ key: 'foo', value: { hello: 'world' } }])
+
+  await levelDB.close()
+  await util.promisify((cb) => {
+    LevelDown.destroy(dbPath, cb)
+  })()
+  assert.end()
+})
+
+test('registerEncoding()', async (assert) => {
+  AsyncLevel.registerEncoding('upper', {
+    encode: (str) => str.toUpperCase(),
+    decode: (str) => str.toLowerCase(),
+    buffer: false
+  })
+
+  assert.throws(() => {
+    AsyncLevel.registerEncoding('broken', {})
+  }, /codec.encode required/)
+  assert.throws(() => {
+    return new AsyncLevel({}, { valueEncoding: 'missing' })
+  }, /Unknown encoding: missing/)
+
+  const dbPath = path.join(os.tmpdir(), uuid())
+  const levelDB = new AsyncLevel(LevelDown(dbPath), {
+    valueEncoding: 'upper'
+  })
+
+  await levelDB.open()
+
+  await levelDB.put('foo', 'bar')
+  const r1 = await levelDB.get('foo', { valueEncoding: 'utf8' })
+  assert.ifError(r1.err)
+  assert.equal(r1.data, 'BAR')
+
+  const r2 = await levelDB.get('foo')
+  assert.ifError(r2.err)
+  assert.equal(r2.data, 'bar')
+
+  await levelDB.close()
+  await util.promisify((cb) => {
+    LevelDown.destroy(dbPath, cb)
+  })()
+  assert.end()
+})
+
+test('keyEncode errors are EncodingErrors', async (assert) => {
+  const levelDB = AsyncLevel.memory({ keyEncoding: 'json' })
+  await levelDB.open()
+  const circular = {}
+  circular.self = circular
+
+  const results = [
+    ['put', await levelDB.put(circular, 'x')],
+    ['get', await levelDB.get(circular)],
+    ['getMany', await levelDB.getMany(['a', circular])],
+    ['del', await levelDB.del(circular)],
+    ['withLock', await levelDB.withLock([circular], () => null)],
+    ['snapshot.get', await levelDB.snapshot().get(circular)]
+  ]
+  for (const [method, { err }] of results) {
+    assert.equal(err.type, 'async-level.encoding', method)
+    assert.ok(err.message.startsWith('keyEncode in ' + method + '(): '))
+  }
+
+  await levelDB.close()
+  assert.end()
+})
+
+test('getMany() with missing keys', async (assert) => {
+  const dbPath = path.join(os.tmpdir(), uuid())
+  const levelDB = new AsyncLevel(LevelDown(dbPath), {
+    valueEncoding: 'json',
+    keyEncoding: charwise
+  })
+
+  await levelDB.open()
+
+  await levelDB.batch([
+    { type: 'put', key: ['user', 1], value: { id: 1 } },
+    { type: 'put', key: ['user', 3], value: { id: 3 } }
+  ])
+
+  const r1 = await levelDB.getMany([
+    ['user', 1], ['user', 2], ['user', 3]
+  ])
+  assert.ifError(r1.err)
+  assert.deepEqual(r1.data, [{ id: 1 }, undefined, { id: 3 }])
+
+  const r2 = await levelDB.getMany([])
+  assert.ifError(r2.err)
+  assert.deepEqual(r2.data, [])
+
+  const r3 = await levelDB.getMany([['user', 1]], {
+    valueEncoding: 'utf8'
+  })
+  assert.ifError(r3.err)
+  assert.deepEqual(r3.data, ['{"id":1}'])
+
+  await levelDB.close()
+  await util.promisify((cb) => {
+    LevelDown.destroy(dbPath, cb)
+  })()
+  assert.end()
+})
+
+test('chained batch', async (assert) => {
+  const dbPath = path.join(os.tmpdir(), uuid())
+  const levelDB = new AsyncLevel(LevelDown(dbPath), {
+    valueEncoding: 'json'
+  })
+
+  await levelDB.open()
+
+  await levelDB.put('old', 'value')
+  const users = levelDB.sublevel('users')
+
+  const batch = levelDB.batch()
+  batch.put('foo', { a: 1 })
+    .put('bar', { b: 2 })
+    .put('bob', { id: 1 }, { sublevel: users })
+    .del('old')
+  assert.equal(batch.length, 4)
+
+  const r1 = await batch.write()
+  assert.ifError(r1.err)
+  assert.throws(() => batch.put('baz', 1), /cannot put\(\) after write\(\)/)
+
+  const r2 = await levelDB.getMany(['foo', 'bar', 'old'])
+  assert.ifError(r2.err)
+  assert.deepEqual(r2.data, [{ a: 1 }, { b: 2 }, undefined])
+
+  const r3 = await users.get('bob')
+  assert.ifError(r3.err)
+  assert.deepEqual(r3.data, { id: 1 })
+
+  const circular = {}
+  circular.self = circular
+
+  const batch2 = levelDB.batch()
+  batch2.put('one', 1).put('two', circular).put('three', 3)
+  assert.equal(batch2.length, 2)
+
+  const r4 = await batch2.write()
+  assert.ok(r4.err)
+  assert.equal(r4.err.name, 'EncodingError')
+  assert.ok(/batch\.put\(\) \[two\]/.test(r4.err.message))
+
+  const r5 = await levelDB.get('one')
+  assert.ok(r5.err && r5.err.notFound)
+
+  const batch3 = levelDB.batch()
+  batch3.put('one', circular).clear().put('one', 1)
+  assert.equal(batch3.length, 1)
+  const r6 = await batch3.write()
+  assert.ifError(r6.err)
+
+  await levelDB.close()
+  await util.promisify((cb) => {
+    LevelDown.destroy(dbPath, cb)
+  })()
+  assert.end()
+})
+
+test('write events', async (assert) => {
+  const dbPath = path.join(os.tmpdir(), uuid())
+  const levelDB = new AsyncLevel(LevelDown(dbPath), {
+    valueEncoding: 'json'
+  })
+
+  const events = []
+  for (const name of ['open', 'closed', 'put', 'del', 'batch', 'clear']) {
+    levelDB.on(name, (...args) => events.push([name, ...args]))
+  }
+
+  await levelDB.open()
+  await levelDB.put('foo', { a: 1 })
+  await levelDB.del('foo')
+  await levelDB.batch([{ type: 'put', key: 'bar', value: 2 }])
+  await levelDB.batch().put('baz', 3).write()
+  await levelDB.clear({ gte: 'a' })
+  await levelDB.put('circular', { toJSON () { throw new Error('no') } })
+  await levelDB.close()
+
+  assert.deepEqual(events, [
+    ['open'],
+    ['put', 'foo', { a: 1 }],
+    ['del', 'foo'],
+    ['batch', [{ type: 'put', key: 'bar', value: 2 }]],
+    ['batch', [{ type: 'put', key: 'baz', value: 3 }]],
+    ['clear', { gte: 'a' }],
+    ['closed']
+  ])
+
+  await util.promisify((cb) => {
+    LevelDown.destroy(dbPath, cb)
+  })()
+  assert.end()
+})
+
+test('prewrite hooks', async (assert) => {
+  const dbPath = path.join(os.tmpdir(), uuid())
+  const levelDB = new AsyncLevel(LevelDown(dbPath), {
+    valueEncoding: 'json'
+  })
+  const byEmail = levelDB.sublevel('by-email', { valueEncoding: 'utf8' })
+
+  await levelDB.open()
+
+  const batches = []
+  levelDB.on('batch', (ops) => batches.push(ops))
+
+  const hook = (op, batch) => {
+    if (op.type === 'put' && op.key.startsWith('user/')) {
+      if (!op.value.email) throw new Error('email required')
+
+      op.value = Object.assign({}, op.value, { indexed: true })
+      batch.add({
+        type: 'put',
+        key: op.value.email,
+        value: op.key,
+        sublevel: byEmail
+      })
+    }
+  }
+  levelDB.hooks.prewrite.add(hook)
+
+  const r1 = await levelDB.put('user/1', { email: 'a@b.c' })
+  assert.ifError(r1.err)
+
+  const r2 = await levelDB.put('user/2', { name: 'no email' })
+  assert.ok(r2.err)
+  assert.equal(r2.err.message, 'email required')
+
+  const r3 = await levelDB.batch().put('user/3', {}).put('x', 1).write()
+  assert.ok(r3.err)
+  assert.equal(r3.err.message, 'email required')
+
+  const r4 = await levelDB.get('user/1')
+  assert.ifError(r4.err)
+  assert.deepEqual(r4.data, { email: 'a@b.c', indexed: true })
+
+  const r5 = await byEmail.get('a@b.c')
+  assert.ifError(r5.err)
+  assert.equal(r5.data, 'user/1')
+
+  const r6 = await levelDB.getMany(['user/2', 'x'])
+  assert.ifError(r6.err)
+  assert.deepEqual(r6.data, [undefined, undefined])
+
+  assert.equal(batches.length, 1)
+  assert.equal(batches[0].length, 2)
+
+  levelDB.hooks.prewrite.delete(hook)
+  const r7 = await levelDB.put('user/2', { name: 'no email' })
+  assert.ifError(r7.err)
+
+  await levelDB.close()
+  await util.promisify((cb) => {
+    LevelDown.destroy(dbPath, cb)
+  })()
+  assert.end()
+})
+
+test('deferredOpen queues operations until open', async (assert) => {
+  const dbPath = path.join(os.tmpdir(), uuid())
+  const levelDB = new AsyncLevel(LevelDown(dbPath), {
+    valueEncoding: 'json',
+    deferredOpen: true
+  })
+  const sub = levelDB.sublevel('sub')
+
+  const order = []
+  const p1 = levelDB.put('foo', { a: 1 }).then((r) => {
+    order.push('put')
+    return r
+  })
+  const p2 = levelDB.get('missing').then((r) => {
+    order.push('get')
+    return r
+  })
+  const p3 = sub.batch([{ type: 'put', key: 'bar', value: 2 }])
+  const p4 = levelDB.batch().put('baz', 3).write()
+
+  await new Promise((resolve) => setTimeout(resolve, 10))
+  assert.deepEqual(order, [])
+
+  const { err } = await levelDB.open()
+  assert.ifError(err)
+
+  const [r1, r2, r3, r4] = await Promise.all([p1, p2, p3, p4])
+  assert.ifError(r1.err)
+  assert.ok(r2.err && r2.err.notFound)
+  assert.ifError(r3.err)
+  assert.ifError(r4.err)
+  assert.equal(order.length, 2)
+
+  await levelDB.close()
+
+  const levelDB2 = new AsyncLevel(LevelDown(dbPath), {
+    valueEncoding: 'json',
+    deferredOpen: true
+  })
+  const itr = levelDB2.iterator({ keyAsBuffer: false })
+  const p5 = drainIterator(itr)
+
+  await levelDB2.open()
+  const values = await p5
+  assert.deepEqual(values, [
+    { key: '!sub!bar', value: 2 },
+    { key: 'baz', value: 3 },
+    { key: 'foo', value: { a: 1 } }
+  ])
+
+  await levelDB2.close()
+  await util.promisify((cb) => {
+    LevelDown.destroy(dbPath, cb)
+  })()
+  assert.end()
+})
+
+test('deferredOpen fails queued operations on open error', async (assert) => {
+  const dbPath = path.join(os.tmpdir(), uuid())
+  const levelDB = new AsyncLevel(LevelDown(dbPath), {
+    deferredOpen: true
+  })
+
+  const p1 = levelDB.put('foo', 'bar')
+  const itr = levelDB.iterator({})
+  const p2 = itr.next()
+
+  levelDB.leveldown.open = (cb) => {
+    process.nextTick(cb, new Error('open failed'))
+  }
+  const { err } = await levelDB.open()
+  assert.equal(err.message, 'open failed')
+
+  const r1 = await p1
+  assert.equal(r1.err, err)
+
+  const r2 = await p2
+  assert.equal(r2.done, false)
+  assert.equal(r2.value.err, err)
+
+  const r3 = await itr.next()
+  assert.equal(r3.done, true)
+
+  assert.end()
+})
+
+test('deferredOpen keeps flushing after an op throws', async (assert) => {
+  const dbPath = path.join(os.tmpdir(), uuid())
+  const levelDB = new AsyncLevel(LevelDown(dbPath), {
+    deferredOpen: true
+  })
+
+  const p1 = levelDB.put('bad', 'x', { valueEncoding: 'missing' })
+  const p2 = levelDB.put('good', 'y')
+  const r1 = await levelDB.open()
+  assert.ifError(r1.err)
+  assert.equal(levelDB.status, 'open')
+
+  const r2 = await p1
+  assert.equal(r2.err.message, 'Unknown encoding: missing')
+  const r3 = await p2
+  assert.ifError(r3.err)
+  assert.equal((await levelDB.get('good')).data.toString(), 'y')
+
+  await levelDB.close()
+  assert.end()
+})
+
+test('deferredOpen stops deferring once closed', async (assert) => {
+  const dbPath = path.join(os.tmpdir(), uuid())
+  const levelDB = new AsyncLevel(LevelDown(dbPath), {
+    deferredOpen: true
+  })
+
+  const p1 = levelDB.put('foo', 'bar')
+  const r1 = await levelDB.close()
+  assert.equal(r1.err.type, 'async-level.not-open')
+  const r2 = await p1
+  assert.equal(r2.err.type, 'async-level.not-open')
+
+  const r3 = await levelDB.open()
+  assert.ifError(r3.err)
+  await levelDB.close()
+  const r4 = await levelDB.get('foo')
+  assert.equal(r4.err.type, 'async-level.not-open')
+
+  const [r5, r6, r7] = await Promise.all([
+    levelDB.open(), levelDB.close(), levelDB.open()
+  ])
+  assert.ifError(r5.err)
+  assert.ifError(r6.err)
+  assert.ifError(r7.err)
+  assert.equal(levelDB.status, 'open')
+
+  await levelDB.close()
+  assert.end()
+})
+
+test('status lifecycle & reopen', async (assert) => {
+  const dbPath = path.join(os.tmpdir(), uuid())
+  const levelDB = new AsyncLevel(LevelDown(dbPath), {})
+  const sub = levelDB.sublevel('sub')
+
+  assert.equal(levelDB.status, 'closed')
+
+  const r1 = await levelDB.get('foo')
+  assert.ok(r1.err)
+  assert.equal(r1.err.type, 'async-level.not-open')
+  assert.ok(r1.err.notOpen)
+
+  const p1 = levelDB.open()
+  assert.equal(levelDB.status, 'opening')
+  assert.equal(sub.status, 'opening')
+  const p2 = levelDB.open()
+  const [o1, o2] = await Promise.all([p1, p2])
+  assert.ifError(o1.err)
+  assert.ifError(o2.err)
+  assert.equal(levelDB.status, 'open')
+
+  await levelDB.put('foo', 'bar')
+
+  const p3 = levelDB.close()
+  assert.equal(levelDB.status, 'closing')
+  const r2 = await levelDB.put('foo', 'baz')
+  assert.ok(r2.err && r2.err.notOpen)
+
+  const c1 = await p3
+  assert.ifError(c1.err)
+  assert.equal(levelDB.status, 'closed')
+
+  const c2 = await levelDB.close()
+  assert.ok(c2.err && c2.err.notOpen)
+
+  const itr = levelDB.iterator({})
+  const r3 = await itr.next()
+  assert.ok(r3.value.err && r3.value.err.notOpen)
+
+  await levelDB.ensure()
+  assert.equal(levelDB.status, 'open')
+
+  const r4 = await levelDB.get('foo', { asBuffer: false })
+  assert.ifError(r4.err)
+  assert.equal(r4.data, 'bar')
+
+  await levelDB.close()
+  await util.promisify((cb) => {
+    LevelDown.destroy(dbPath, cb)
+  })()
+  assert.end()
+})
+
+test('close() waits for operations & closes iterators', async (assert) => {
+  const dbPath = path.join(os.tmpdir(), uuid())
+  const levelDB = new AsyncLevel(LevelDown(dbPath), {})
+
+  await levelDB.open()
+  await levelDB.batch([
+    { type: 'put', key: 'a', value: '1' },
+    { type: 'put', key: 'b', value: '2' }
+  ])
+
+  const itr1 = levelDB.iterator({ keyAsBuffer: false })
+  const itr2 = levelDB.sublevel('sub').iterator({})
+  const r1 = await itr1.next()
+  assert.equal(r1.value.data.key, 'a')
+
+  const p1 = levelDB.put('c', '3')
+  const p2 = levelDB.get('a', { asBuffer: false })
+  const { err } = await levelDB.close()
+  assert.ifError(err)
+
+  const [r2, r3] = await Promise.all([p1, p2])
+  assert.ifError(r2.err)
+  assert.ifError(r3.err)
+  assert.equal(r3.data, '1')
+
+  assert.ok(itr1.finished)
+  assert.ok(itr2.finished)
+  const r4 = await itr1.next()
+  assert.ok(r4.done)
+
+  await util.promisify((cb) => {
+    LevelDown.destroy(dbPath, cb)
+  })()
+  assert.end()
+})
+
+test('concurrent next() resolves in key order', async (assert) => {
+  const dbPath = path.join(os.tmpdir(), uuid())
+  const levelDB = new AsyncLevel(LevelDown(dbPath), {})
+
+  await levelDB.open()
+  await levelDB.batch([
+    { type: 'put', key: 'a', value: '1' },
+    { type: 'put', key: 'b', value: '2' },
+    { type: 'put', key: 'c', value: '3' }
+  ])
+
+  const itr = levelDB.iterator({ keyAsBuffer: false })
+  const results = await Promise.all([
+    itr.next(), itr.next(), itr.batchNext(), itr.next()
+  ])
+
+  assert.equal(results[0].value.data.key, 'a')
+  assert.equal(results[1].value.data.key, 'b')
+  assert.deepEqual(results[2].value.data.keys, ['c'])
+  assert.ok(results[3].done)
+
+  await levelDB.close()
+  await util.promisify((cb) => {
+    LevelDown.destroy(dbPath, cb)
+  })()
+  assert.end()
+})
+
+test('break in for await ends the iterator', async (assert) => {
+  const dbPath = path.join(os.tmpdir(), uuid())
+  const levelDB = new AsyncLevel(LevelDown(dbPath), {})
+
+  await levelDB.open()
+  await levelDB.batch([
+    { type: 'put', key: 'a', value: '1' },
+    { type: 'put', key: 'b', value: '2' }
+  ])
+
+  const itr = levelDB.iterator({ keyAsBuffer: false })
+  const keys = []
+  for await (const { err, data } of itr) {
+    assert.ifError(err)
+    keys.push(data.key)
+    break
+  }
+  assert.deepEqual(keys, ['a'])
+  assert.ok(itr.finished)
+
+  const itr2 = levelDB.iterator({})
+  try {
+    await itr2.throw(new Error('stop'))
+    assert.fail('throw() should reject')
+  } catch (err) {
+    assert.equal(err.message, 'stop')
+  }
+  assert.ok(itr2.finished)
+
+  await levelDB.close()
+  await util.promisify((cb) => {
+    LevelDown.destroy(dbPath, cb)
+  })()
+  assert.end()
+})
+
+test('itr.seek()', async (assert) => {
+  const dbPath = path.join(os.tmpdir(), uuid())
+  const levelDB = new AsyncLevel(LevelDown(dbPath), {
+    keyEncoding: charwise
+  })
+  const sub = levelDB.sublevel('sub')
+
+  await levelDB.open()
+  await sub.batch([
+    { type: 'put', key: ['a', 1], value: '1' },
+    { type: 'put', key: ['a', 2], value: '2' },
+    { type: 'put', key: ['b', 1], value: '3' },
+    { type: 'put', key: ['b', 2], value: '4' }
+  ])
+
+  const itr = sub.iterator({ keyAsBuffer: false, valueAsBuffer: false })
+  const r1 = await itr.next()
+  assert.deepEqual(r1.value.data.key, ['a', 1])
+
+  itr.seek(['b', 1])
+  const r2 = await itr.batchNext()
+  assert.ifError(r2.value.err)
+  assert.deepEqual(r2.value.data.keys, [['b', 1], ['b', 2]])
+
+  const r3 = await itr.next()
+  assert.ok(r3.done)
+  assert.ok(itr.finished)
+
+  itr.seek(['a', 2])
+  assert.equal(itr.finished, false)
+  const values = await drainIterator(itr)
+  assert.deepEqual(values.map((v) => v.value), ['2', '3', '4'])
+
+  const p = itr.next()
+  assert.throws(() => itr.seek(['a', 1]), /while next\(\) is pending/)
+  await p
+
+  await itr.close()
+  assert.throws(() => itr.seek(['a', 1]), /after close\(\)/)
+
+  await levelDB.close()
+  await util.promisify((cb) => {
+    LevelDown.destroy(dbPath, cb)
+  })()
+  assert.end()
+})
+
+test('keys() & values() iterators', async (assert) => {
+  const dbPath = path.join(os.tmpdir(), uuid())
+  const levelDB = new AsyncLevel(LevelDown(dbPath), {
+    valueEncoding: 'json',
+    keyEncoding: 'utf8'
+  })
+
+  await levelDB.open()
+  await levelDB.batch([
+    { type: 'put', key: 'a', value: { n: 1 } },
+    { type: 'put', key: 'b', value: { n: 2 } },
+    { type: 'put', key: 'c', value: { n: 3 } }
+  ])
+
+  const keys = await drainIterator(levelDB.keys({ gt: 'a' }))
+  assert.deepEqual(keys, ['b', 'c'])
+
+  const values = await drainIterator(levelDB.values({ lt: 'c' }))
+  assert.deepEqual(values, [{ n: 1 }, { n: 2 }])
+
+  const itr = levelDB.keys({})
+  const r1 = await itr.batchNext()
+  assert.ifError(r1.value.err)
+  assert.deepEqual(r1.value.data, ['a', 'b', 'c'])
+  await itr.close()
+
+  const itr2 = levelDB.values({})
+  const r2 = await itr2.batchNext()
+  assert.ifError(r2.value.err)
+  assert.deepEqual(r2.value.data, [{ n: 1 }, { n: 2 }, { n: 3 }])
+  await itr2.close()
+
+  await levelDB.close()
+  await util.promisify((cb) => {
+    LevelDown.destroy(dbPath, cb)
+  })()
+  assert.end()
+})
+
+test('db.prefix() for string & charwise keys', async (assert) => {
+  const dbPath = path.join(os.tmpdir(), uuid())
+  const levelDB = new AsyncLevel(LevelDown(dbPath), {})
+  const charDB = levelDB.sublevel('charwise', { keyEncoding: charwise })
+
+  await levelDB.open()
+  await levelDB.batch([
+    { type: 'put', key: 'user', value: '0' },
+    { type: 'put', key: 'user/1', value: '1' },
+    { type: 'put', key: 'user/2', value: '2' },
+    { type: 'put', key: 'user0', value: '3' }
+  ])
+  await charDB.batch([
+    { type: 'put', key: ['foo'], value: '0' },
+    { type: 'put', key: ['foo', 1], value: '1' },
+    { type: 'put', key: ['foo', 'bar', 2], value: '2' },
+    { type: 'put', key: ['foobar'], value: '3' }
+  ])
+
+  const keys1 = await drainIterator(levelDB.keys(
+    levelDB.prefix('user/', { keyAsBuffer: false })
+  ))
+  assert.deepEqual(keys1, ['user/1', 'user/2'])
+
+  const keys2 = await drainIterator(charDB.keys(
+    charDB.prefix(['foo'], { keyAsBuffer: false })
+  ))
+  assert.deepEqual(keys2, [['foo', 1], ['foo', 'bar', 2]])
+
+  const { err } = await charDB.clear(charDB.prefix(['foo']))
+  assert.ifError(err)
+
+  const keys3 = await drainIterator(charDB.keys({ keyAsBuffer: false }))
+  assert.deepEqual(keys3, [['foo'], ['foobar']])
+
+  await levelDB.close()
+  await util.promisify((cb) => {
+    LevelDown.destroy(dbPath, cb)
+  })()
+  assert.end()
+})
+
+test('itr.all(), itr.nextv() & db.count()', async (assert) => {
+  const dbPath = path.join(os.tmpdir(), uuid())
+  const levelDB = new AsyncLevel(LevelDown(dbPath), {
+    valueEncoding: 'json',
+    keyEncoding: 'utf8'
+  })
+
+  await levelDB.open()
+  const ops = []
+  for (let i = 0; i < 50; i++) {
+    const key = String(i).padStart(2, '0')
+    ops.push({ type: 'put', key, value: { n: i } })
+  }
+  await levelDB.batch(ops)
+
+  const r1 = await levelDB.iterator({ gte: '47' }).all()
+  assert.ifError(r1.err)
+  assert.deepEqual(r1.data, [
+    { key: '47', value: { n: 47 } },
+    { key: '48', value: { n: 48 } },
+    { key: '49', value: { n: 49 } }
+  ])
+
+  const r2 = await levelDB.keys({ lt: '03' }).all()
+  assert.ifError(r2.err)
+  assert.deepEqual(r2.data, ['00', '01', '02'])
+
+  const itr = levelDB.iterator({})
+  const seen = []
+  while (true) {
+    const r = await itr.nextv(7)
+    if (r.done) break
+    assert.ifError(r.value.err)
+    assert.ok(r.value.data.keys.length <= 7)
+    assert.equal(r.value.data.keys.length, r.value.data.values.length)
+    seen.push(...r.value.data.keys)
+  }
+  assert.deepEqual(seen, ops.map((op) => op.key))
+
+  const itr2 = levelDB.keys({})
+  const r3 = await itr2.nextv(1)
+  assert.deepEqual(r3.value.data, ['00'])
+  const r4 = await itr2.next()
+  assert.equal(r4.value.data, '01')
+  const r5 = await itr2.nextv(2)
+  assert.deepEqual(r5.value.data, ['02', '03'])
+  await itr2.close()
+
+  const c1 = await levelDB.count()
+  assert.ifError(c1.err)
+  assert.equal(c1.data, 50)
+
+  const c2 = await levelDB.count({ gte: '10', lt: '20' })
+  assert.ifError(c2.err)
+  assert.equal(c2.data, 10)
+
+  await levelDB.put('zz', 'not json', { valueEncoding: 'utf8' })
+  const r6 = await levelDB.iterator({ gte: '49' }).all()
+  assert.ok(r6.err)
+  assert.equal(r6.err.type, 'async-level.encoding')
+  assert.equal(r6.data, null)
+
+  await levelDB.close()
+  await util.promisify((cb) => {
+    LevelDown.destroy(dbPath, cb)
+  })()
+  assert.end()
+})
+
+test('db.snapshot() reads one consistent view', async (assert) => {
+  const dbPath = path.join(os.tmpdir(), uuid())
+  const levelDB = new AsyncLevel(LevelDown(dbPath), {
+    valueEncoding: 'json',
+    keyEncoding: 'utf8'
+  })
+
+  await levelDB.open()
+  const ops = []
+  for (let i = 0; i < 20; i++) {
+    const key = String(i).padStart(2, '0')
+    ops.push({ type: 'put', key, value: { n: i } })
+  }
+  await levelDB.batch(ops)
+
+  const snap = levelDB.snapshot()
+  await levelDB.batch([
+    { type: 'put', key: '01', value: { n: 100 } },
+    { type: 'del', key: '02' },
+    { type: 'put', key: '05a', value: { n: 5.5 } }
+  ])
+
+  const r1 = await snap.get('01')
+  assert.ifError(r1.err)
+  assert.deepEqual(r1.data, { n: 1 })
+
+  const r2 = await snap.get('05a')
+  assert.ok(r2.err)
+  assert.equal(r2.err.notFound, true)
+
+  const r3 = await snap.getMany(['02', '05a', '19'])
+  assert.ifError(r3.err)
+  assert.deepEqual(r3.data, [{ n: 2 }, undefined, { n: 19 }])
+
+  const r4 = await levelDB.get('01')
+  assert.deepEqual(r4.data, { n: 100 })
+
+  const r5 = await snap.iterator({ gt: '03', lte: '06', limit: 2 }).all()
+  assert.ifError(r5.err)
+  assert.deepEqual(r5.data, [
+    { key: '04', value: { n: 4 } },
+    { key: '05', value: { n: 5 } }
+  ])
+
+  // Interleaved reads share the leveldown iterator of the snapshot
+  const itr1 = snap.iterator({ gte: '10' })
+  const itr2 = snap.iterator({})
+  const keys1 = []
+  const keys2 = []
+  for (let i = 0; i < 3; i++) {
+    keys1.push((await itr1.next()).value.data.key)
+    keys2.push((await itr2.next()).value.data.key)
+    const { data } = await snap.get('02')
+    assert.deepEqual(data, { n: 2 })
+  }
+  assert.deepEqual(keys1, ['10', '11', '12'])
+  assert.deepEqual(keys2, ['00', '01', '02'])
+
+  const rest = await itr2.all()
+  assert.equal(rest.data.length, 17)
+  assert.deepEqual(rest.data[0], { key: '03', value: { n: 3 } })
+  await itr1.close()
+
+  const { err } = await snap.release()
+  assert.ifError(err)
+
+  const r6 = await snap.get('01')
+  assert.ok(r6.err)
+  assert.equal(r6.err.type, 'async-level.snapshot-released')
+
+  assert.throws(() => {
+    snap.iterator({ reverse: true })
+  }, /do not support reverse/)
+
+  // close() releases snapshots that are still open
+  const snap2 = levelDB.sublevel('sub').snapshot()
+  const r7 = await snap2.getMany(['a'])
+  assert.deepEqual(r7.data, [undefined])
+
+  const closeResult = await levelDB.close()
+  assert.ifError(closeResult.err)
+  assert.equal(snap2.released, true)
+
+  await util.promisify((cb) => {
+    LevelDown.destroy(dbPath, cb)
+  })()
+  assert.end()
+})
+
+test('db.transaction() reads its own writes', async (assert) => {
+  const dbPath = path.join(os.tmpdir(), uuid())
+  const levelDB = new AsyncLevel(LevelDown(dbPath), {
+    valueEncoding: 'json',
+    keyEncoding: 'utf8'
+  })
+
+  await levelDB.open()
+  await levelDB.put('a', { n: 1 })
+
+  const r1 = await levelDB.transaction(async (tx) => {
+    tx.put('b', { n: 2 })
+    tx.del('a')
+
+    const b = await tx.get('b')
+    assert.deepEqual(b.data, { n: 2 })
+    const a = await tx.get('a')
+    assert.equal(a.err.notFound, true)
+
+    const outside = await levelDB.get('b')
+    assert.equal(outside.err.notFound, true)
+    return 'done'
+  })
+  assert.ifError(r1.err)
+  assert.equal(r1.data, 'done')
+
+  const r2 = await levelDB.getMany(['a', 'b'])
+  assert.deepEqual(r2.data, [undefined, { n: 2 }])
+
+  const r3 = await levelDB.transaction(async (tx) => {
+    tx.put('c', { n: 3 })
+    throw new Error('abort')
+  })
+  assert.equal(r3.err.message, 'abort')
+  const r4 = await levelDB.get('c')
+  assert.equal(r4.err.notFound, true)
+
+  await levelDB.close()
+  await util.promisify((cb) => {
+    LevelDown.destroy(dbPath, cb)
+  })()
+  assert.end()
+})
+
+test('db.transaction() conflicts & retries', async (assert) => {
+  const dbPath = path.join(os.tmpdir(), uuid())
+  const levelDB = new AsyncLevel(LevelDown(dbPath), {
+    valueEncoding: 'json',
+    keyEncoding: 'utf8'
+  })
+  const sub = levelDB.sublevel('counters', { valueEncoding: 'json' })
+
+  await levelDB.open()
+  await sub.put('count', 0)
+
+  const r1 = await sub.transaction(async (tx) => {
+    const { data } = await tx.get('count')
+    await sub.put('count', 100)
+    tx.put('count', data + 1)
+  })
+  assert.ok(r1.err)
+  assert.equal(r1.err.type, 'async-level.conflict')
+  const r2 = await sub.get('count')
+  assert.equal(r2.data, 100)
+
+  const r3 = await levelDB.transaction(async (tx) => {
+    await tx.get('!counters!count')
+    await levelDB.clear({ gte: '!counters!', lt: '!counters"' })
+  })
+  assert.equal(r3.err.type, 'async-level.conflict')
+
+  await sub.put('count', 0)
+  const increments = []
+  for (let i = 0; i < 10; i++) {
+    increments.push(sub.transaction(async (tx) => {
+      const { data } = await tx.get('count')
+      tx.put('count', data + 1)
+      return data + 1
+    }, { retries: 100 }))
+  }
+  const results = await Promise.all(increments)
+  for (const result of results) {
+    assert.ifError(result.err)
+  }
+  const r4 = await sub.get('count')
+  assert.equal(r4.data, 10)
+  assert.deepEqual(
+    results.map((r) => r.data).sort((a, b) => a - b),
+    [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]
+  )
+
+  await levelDB.close()
+  await util.promisify((cb) => {
+    LevelDown.destroy(dbPath, cb)
+  })()
+  assert.end()
+})
+
+test('db.update() & db.withLock()', async (assert) => {
+  const dbPath = path.join(os.tmpdir(), uuid())
+  const levelDB = new AsyncLevel(LevelDown(dbPath), {
+    valueEncoding: 'json',
+    keyEncoding: 'utf8'
+  })
+  const sub = levelDB.sublevel('sub', { valueEncoding: 'json' })
+
+  await levelDB.open()
+
+  const updates = []
+  for (let i = 0; i < 20; i++) {
+    updates.push(levelDB.update('count', async (count) => {
+      await new Promise((resolve) => setImmediate(resolve))
+      return (count || 0) + 1
+    }))
+  }
+  const results = await Promise.all(updates)
+  assert.ifError(results[19].err)
+  assert.equal(results[19].data, 20)
+  const r1 = await levelDB.get('count')
+  assert.equal(r1.data, 20)
+
+  const r2 = await levelDB.update('count', () => undefined)
+  assert.ifError(r2.err)
+  const r3 = await levelDB.get('count')
+  assert.equal(r3.err.notFound, true)
+
+  const r4 = await levelDB.update('count', () => {
+    throw new Error('nope')
+  })
+  assert.equal(r4.err.message, 'nope')
+
+  // Sublevels share the locks of the encoded keys
+  const order = []
+  const p1 = levelDB.withLock(['a', '!sub!b'], async () => {
+    await new Promise((resolve) => setImmediate(resolve))
+    order.push(1)
+    return 'first'
+  })
+  const p2 = sub.withLock(['b'], async () => {
+    order.push(2)
+  })
+  const p3 = levelDB.withLock(['c'], async () => {
+    order.push(3)
+  })
+  assert.equal(await p1, 'first')
+  await Promise.all([p2, p3])
+  assert.deepEqual(order, [3, 1, 2])
+
+  await levelDB.close()
+  await util.promisify((cb) => {
+    LevelDown.destroy(dbPath, cb)
+  })()
+  assert.end()
+})
+
+test('ttl expires keys for get() & iterators', async (assert) => {
+  const dbPath = path.join(os.tmpdir(), uuid())
+  const levelDB = new AsyncLevel(LevelDown(dbPath), {
+    valueEncoding: 'json',
+    keyEncoding: 'utf8'
+  })
+  const sub = levelDB.sublevel('sessions', { valueEncoding: 'json' })
+
+  await levelDB.open()
+  await levelDB.put('a', { n: 1 }, { ttl: 50 })
+  await levelDB.put('b', { n: 2 })
+  await levelDB.batch([
+    { type: 'put', key: 'c', value: { n: 3 }, ttl: 50 },
+    { type: 'put', key: 'd', value: { n: 4 }, ttl: 60 * 1000 }
+  ])
+  await sub.batch().put('e', { n: 5 }, { ttl: 50 }).write()
+  // A put without a ttl removes the ttl
+  await levelDB.put('f', { n: 6 }, { ttl: 50 })
+  await levelDB.put('f', { n: 7 })
+
+  const r1 = await levelDB.get('a')
+  assert.deepEqual(r1.data, { n: 1 })
+
+  await new Promise((resolve) => setTimeout(resolve, 80))
+
+  const r2 = await levelDB.get('a')
+  assert.ok(r2.err)
+  assert.equal(r2.err.notFound, true)
+  const r3 = await sub.get('e')
+  assert.equal(r3.err.notFound, true)
+
+  const r4 = await levelDB.getMany(['a', 'b', 'c', 'd', 'f'])
+  assert.deepEqual(r4.data, [
+    undefined, { n: 2 }, undefined, { n: 4 }, { n: 7 }
+  ])
+
+  const r5 = await levelDB.iterator().all()
+  assert.deepEqual(r5.data.map((e) => e.key), ['b', 'd', 'f'])
+  const r6 = await levelDB.values().all()
+  assert.deepEqual(r6.data, [{ n: 2 }, { n: 4 }, { n: 7 }])
+  const r7 = await levelDB.count()
+  assert.equal(r7.data, 3)
+  const r8 = await drainIterator(levelDB.iterator({ keyAsBuffer: false }))
+  assert.deepEqual(r8.map((e) => e.key), ['b', 'd', 'f'])
+
+  assert.throws(() => {
+    levelDB.batch().put('g', 1, { ttl: -1 })
+  }, /ttl must be a positive number/)
+
+  // Expired keys stay expired after re-opening
+  await levelDB.close()
+  await levelDB.open()
+  const r9 = await levelDB.get('c')
+  assert.equal(r9.err.notFound, true)
+
+  await levelDB.close()
+  await util.promisify((cb) => {
+    LevelDown.destroy(dbPath, cb)
+  })()
+  assert.end()
+})
+
+test('ttl sweeper deletes expired keys', async (assert) => {
+  const dbPath = path.join(os.tmpdir(), uuid())
+  const levelDB = new AsyncLevel(LevelDown(dbPath), {
+    valueEncoding: 'json',
+    keyEncoding: 'utf8',
+    ttlSweepInterval: 20
+  })
+
+  await levelDB.open()
+  await levelDB.put('a', 1, { ttl: 10 })
+  await levelDB.put('b', 2, { ttl: 10 })
+  await levelDB.put('b', 3)
+  await levelDB.put('c', 4, { ttl: 60 * 1000 })
+
+  await new Promise((resolve) => setTimeout(resolve, 100))
+
+  const rawKeys = await new Promise((resolve) => {
+    const itr = levelDB.leveldown.iterator({ keyAsBuffer: false })
+    const keys = []
+    itr.next(function onNext (err, key) {
+      assert.ifError(err)
+      if (key === undefined) return itr.end(() => resolve(keys))
+      keys.push(key)
+      itr.next(onNext)
+    })
+  })
+  assert.deepEqual(rawKeys.filter((k) => !k.startsWith('!~ttl!')), ['b', 'c'])
+  assert.equal(rawKeys.filter((k) => k.startsWith('!~ttl!k!')).length, 1)
+  assert.equal(rawKeys.filter((k) => k.startsWith('!~ttl!e!')).length, 1)
+
+  await levelDB.close()
+  await util.promisify((cb) => {
+    LevelDown.destroy(dbPath, cb)
+  })()
+  assert.end()
+})
+
+test('ttl of put() with prewrite hooks', async (assert) => {
+  const dbPath = path.join(os.tmpdir(), uuid())
+  const levelDB = new AsyncLevel(LevelDown(dbPath), {
+    valueEncoding: 'json',
+    keyEncoding: 'utf8'
+  })
+  levelDB.hooks.prewrite.add((op, batch) => {
+    if (op.key === 'a') {
+      batch.add({ type: 'put', key: 'log', value: op.key })
+    }
+    if (op.key === 'b') op.valueEncoding = 'utf8'
+  })
+
+  await levelDB.open()
+  await levelDB.put('a', 1, { ttl: 50 })
+  await levelDB.put('b', '2', { ttl: 50 })
+  await levelDB.put('c', 3, { ttl: 50 })
+  assert.deepEqual((await levelDB.get('a')).data, 1)
+
+  await new Promise((resolve) => setTimeout(resolve, 80))
+
+  const r1 = await levelDB.getMany(['a', 'b', 'c', 'log'])
+  assert.deepEqual(r1.data, [undefined, undefined, undefined, 'a'])
+
+  await levelDB.close()
+  await util.promisify((cb) => {
+    LevelDown.destroy(dbPath, cb)
+  })()
+  assert.end()
+})
+
+test('AsyncLevel.memory() matches leveldown', async (assert) => {
+  const dbPath = path.join(os.tmpdir(), uuid())
+  const diskDB = new AsyncLevel(LevelDown(dbPath), { keyEncoding: 'utf8' })
+  const memDB = AsyncLevel.memory({ keyEncoding: 'utf8' })
+
+  await diskDB.open()
+  await memDB.open()
+  const ops = []
+  for (let i = 0; i < 1500; i++) {
+    const key = 'k' + String(i * 2).padStart(4, '0')
+    ops.push({ type: 'put', key, value: 'v' + i })
+  }
+  ops.push({ type: 'put', key: 'big', value: Buffer.alloc(20000, 1) })
+  await diskDB.batch(ops)
+  await memDB.batch(ops)
+
+  const ranges = [
+    {},
+    { gt: 'k0010', lt: 'k0020' },
+    { gte: 'k0010', lte: 'k0020' },
+    { gte: 'k0011', lt: 'k0021', reverse: true },
+    { gt: 'k0010', lte: 'k0020', reverse: true, limit: 3 },
+    { limit: 1200 },
+    { reverse: true, limit: 0 },
+    { gte: 'k9', reverse: true },
+    { gte: 'k0500', highWaterMark: 64 }
+  ]
+  for (const range of ranges) {
+    const options = Object.assign({ keyAsBuffer: false }, range)
+    const expected = await diskDB.iterator(options).all()
+    const actual = await memDB.iterator(options).all()
+    assert.ifError(actual.err)
+    assert.deepEqual(actual.data, expected.data, JSON.stringify(range))
+
+    const diskItr = diskDB.keys(options)
+    const memItr = memDB.keys(options)
+    const first = [await diskItr.batchNext(), await memItr.batchNext()]
+    const second = [await diskItr.batchNext(), await memItr.batchNext()]
+    assert.deepEqual(first[1], first[0], 'batchNext ' + JSON.stringify(range))
+    assert.deepEqual(second[1], second[0])
+    await diskItr.close()
+    await memItr.close()
+  }
+
+  for (const reverse of [false, true]) {
+    const options = { gte: 'k0100', lt: 'k0200', reverse, keyAsBuffer: false }
+    const diskItr = diskDB.keys(options)
+    const memItr = memDB.keys(options)
+    for (const target of ['k0150', 'k0151', 'k0000', 'k0300']) {
+      diskItr.seek(target)
+      memItr.seek(target)
+      assert.deepEqual(
+        await memItr.nextv(3), await diskItr.nextv(3), 'seek ' + target
+      )
+    }
+    await diskItr.close()
+    await memItr.close()
+  }
+
+  const clearRange = { gte: 'k0100', lt: 'k0300', reverse: true, limit: 10 }
+  await diskDB.clear(clearRange)
+  await memDB.clear(clearRange)
+  assert.equal((await memDB.count()).data, (await diskDB.count()).data)
+  assert.deepEqual(
+    (await memDB.keys({ keyAsBuffer: false }).all()).data,
+    (await diskDB.keys({ keyAsBuffer: false }).all()).data
+  )
+
+  await diskDB.close()
+  await memDB.close()
+  await util.promisify((cb) => {
+    LevelDown.destroy(dbPath, cb)
+  })()
+  assert.end()
+})
+
+test('AsyncLevel.memory() iterators read a snapshot', async (assert) => {
+  const levelDB = AsyncLevel.memory({
+    valueEncoding: 'json',
+    keyEncoding: 'utf8'
+  })
+
+  await levelDB.open()
+  await levelDB.batch([
+    { type: 'put', key: 'a', value: 1 },
+    { type: 'put', key: 'b', value: 2 }
+  ])
+
+  const itr = levelDB.iterator({})
+  const snap = levelDB.snapshot()
+  await levelDB.put('a', 10)
+  await levelDB.batch().put('c', 3).del('b').write()
+
+  const r1 = await itr.all()
+  assert.deepEqual(r1.data, [{ key: 'a', value: 1 }, { key: 'b', value: 2 }])
+  const r2 = await snap.getMany(['a', 'b', 'c'])
+  assert.deepEqual(r2.data, [1, 2, undefined])
+  await snap.release()
+
+  const r3 = await levelDB.getMany(['a', 'b', 'c'])
+  assert.deepEqual(r3.data, [10, undefined, 3])
+  const r4 = await levelDB.get('b')
+  assert.equal(r4.err.notFound, true)
+
+  const r5 = await levelDB.put('', 1)
+  assert.equal(r5.err.message, 'key cannot be an empty String')
+
+  await levelDB.close()
+  assert.end()
+})
+
+test('db.promises rejects instead of returning results', async (assert) => {
+  const levelDB = AsyncLevel.memory({
+    valueEncoding: 'json',
+    keyEncoding: 'utf8'
+  })
+  const db = levelDB.promises
+
+  await db.open()
+  assert.equal(db.status, 'open')
+  await db.put('a', { n: 1 })
+  await db.batch([{ type: 'put', key: 'b', value: { n: 2 } }])
+  await db.batch().put('c', { n: 3 }).write()
+
+  assert.deepEqual(await db.get('a'), { n: 1 })
+  assert.deepEqual(await db.getMany(['a', 'x']), [{ n: 1 }, undefined])
+  assert.equal(await db.update('count', (n) => (n || 0) + 1), 1)
+  assert.equal(await db.count({ lt: 'c' }), 2)
+
+  try {
+    await db.get('x')
+    assert.fail('should have rejected')
+  } catch (err) {
+    assert.equal(err.type, 'async-level.not-found')
+  }
+
+  const entries = []
+  for await (const entry of db.iterator({ lt: 'count' })) {
+    entries.push(entry)
+  }
+  assert.deepEqual(entries, [
+    { key: 'a', value: { n: 1 } },
+    { key: 'b', value: { n: 2 } },
+    { key: 'c', value: { n: 3 } }
+  ])
+  assert.deepEqual(await db.keys({ lt: 'c' }).all(), ['a', 'b'])
+
+  const itr = db.keys()
+  itr.seek('b')
+  assert.deepEqual(await itr.next(), { done: false, value: 'b' })
+  await itr.close()
+
+  await levelDB.put('bad', 'not json', { valueEncoding: 'utf8' })
+  try {
+    for await (const entry of db.iterator({ gte: 'bad' })) {
+      assert.fail('should not yield ' + entry.key)
+    }
+    assert.fail('should have thrown')
+  } catch (err) {
+    assert.equal(err.type, 'async-level.encoding')
+  }
+
+  const sub = db.sublevel('sub')
+  await sub.put('a', 'sub')
+  assert.equal(await sub.get('a'), 'sub')
+
+  await db.close()
+  try {
+    await db.close()
+    assert.fail('should have rejected')
+  } catch (err) {
+    assert.equal(err.type, 'async-level.not-open')
+  }
+  assert.end()
+})
+
+test('read streams', async (assert) => {
+  const levelDB = AsyncLevel.memory({
+    valueEncoding: 'json',
+    keyEncoding: 'utf8'
+  })
+
+  await levelDB.open()
+  const ops = []
+  for (let i = 0; i < 2500; i++) {
+    const key = String(i).padStart(4, '0')
+    ops.push({ type: 'put', key, value: { n: i } })
+  }
+  await levelDB.batch(ops)
+
+  const entries = []
+  await pipeline(
+    levelDB.createReadStream({ gte: '0100', lt: '2100' }),
+    new stream.Writable({
+      objectMode: true,
+      highWaterMark: 1,
+      write (entry, enc, cb) {
+        entries.push(entry)
+        setImmediate(cb)
+      }
+    })
+  )
+  assert.equal(entries.length, 2000)
+  assert.deepEqual(entries[0], { key: '0100', value: { n: 100 } })
+  assert.deepEqual(entries[1999], { key: '2099', value: { n: 2099 } })
+
+  const keys = []
+  for await (const key of levelDB.createKeyStream({ lt: '0003' })) {
+    keys.push(key)
+  }
+  assert.deepEqual(keys, ['0000', '0001', '0002'])
+
+  const values = []
+  for await (const value of levelDB.createValueStream({ gt: '2497' })) {
+    values.push(value)
+  }
+  assert.deepEqual(values, [{ n: 2498 }, { n: 2499 }])
+
+  // Destroying the stream early closes the iterator
+  const early = levelDB.createReadStream()
+  for await (const entry of early) {
+    assert.equal(entry.key, '0000')
+    break
+  }
+  assert.equal(early.iterator.closed, true)
+
+  await levelDB.put('2600', 'not json', { valueEncoding: 'utf8' })
+  const broken = levelDB.createReadStream({ gte: '2400' })
+  const err = await finished(broken.resume())
+    .catch((err) => err)
+  assert.equal(err.type, 'async-level.encoding')
+  assert.equal(broken.iterator.closed, true)
+
+  await levelDB.close()
+  assert.end()
+})
+
+test('write streams', async (assert) => {
+  const levelDB = AsyncLevel.memory({
+    valueEncoding: 'json',
+    keyEncoding: 'utf8'
+  })
+
+  await levelDB.open()
+  const batches = []
+  levelDB.on('batch', (operations) => batches.push(operations.length))
+
+  const ws = levelDB.createWriteStream({ batchSize: 100 })
+  await pipeline(
+    stream.Readable.from((function * () {
+      for (let i = 0; i < 250; i++) {
+        yield { key: String(i).padStart(3, '0'), value: { n: i } }
+      }
+      yield { type: 'del', key: '000' }
+    })()),
+    ws
+  )
+  assert.deepEqual(batches, [100, 100, 51])
+  assert.equal((await levelDB.count()).data, 249)
+
+  const timed = levelDB.createWriteStream({ flushInterval: 10 })
+  timed.write({ key: 'timed', value: true })
+  await new Promise((resolve) => setTimeout(resolve, 50))
+  const r1 = await levelDB.get('timed')
+  assert.equal(r1.data, true)
+  timed.end()
+  await finished(timed)
+
+  const failing = levelDB.createWriteStream({ batchSize: 1 })
+  failing.write({ key: 'big', value: 1n })
+  const err = await new Promise((resolve) => failing.on('error', resolve))
+  assert.equal(err.type, 'async-level.encoding')
+  assert.equal(failing.destroyed, true)
+
+  await levelDB.close()
+  assert.end()
+})
+
+test('exportTo() & importFrom() round trip binary data', async (assert) => {
+  const source = AsyncLevel.memory({
+    keyEncoding: 'binary',
+    valueEncoding: 'binary'
+  })
+  await source.open()
+
+  const keys = [
+    Buffer.from([0x00]),
+    Buffer.from([0x0a, 0xff, 0x00]),
+    Buffer.from('{"key"}'),
+    Buffer.from([0xff, 0xff, 0xff, 0xff])
+  ]
+  for (const [i, key] of keys.entries()) {
+    await source.put(key, Buffer.from([i, 0x0a, 0x00, 0xfe]))
+  }
+  await source.put(Buffer.from('empty'), Buffer.alloc(0))
+
+  for (const format of ['binary', 'ndjson']) {
+    const exported = await exportToBuffer(source, { format })
+    assert.ifError(exported.err)
+    assert.equal(exported.count, 5)
+
+    const target = AsyncLevel.memory({
+      keyEncoding: 'binary',
+      valueEncoding: 'binary'
+    })
+    await target.open()
+    await target.put(Buffer.from('stale'), Buffer.from('x'))
+    const r1 = await target.importFrom(
+      stream.Readable.from(chunks(exported.data, 7)),
+      { clear: true, batchSize: 2 }
+    )
+    assert.ifError(r1.err)
+    assert.equal(r1.data, 5)
+
+    const r2 = await target.iterator().all()
+    const r3 = await source.iterator().all()
+    assert.deepEqual(r2.data, r3.data, format + ' preserves bytes')
+    await target.close()
+  }
+
+  const ranged = await exportToBuffer(source, {
+    range: { gte: Buffer.from([0x0a]), lt: Buffer.from([0xff]) }
+  })
+  assert.equal(ranged.count, 3)
+
+  await source.close()
+  // No 'error' listener, a failed export must not emit one
+  const writable = new stream.Writable({
+    write: (chunk, encoding, cb) => cb()
+  })
+  const r4 = await source.exportTo(writable)
+  assert.equal(r4.err.type, 'async-level.not-open')
+  assert.ok(writable.destroyed, 'a failed export destroys the stream')
+  assert.end()
+})
+
+test('importFrom() rejects corrupt exports', async (assert) => {
+  const levelDB = AsyncLevel.memory({ valueEncoding: 'json' })
+  await levelDB.open()
+  await levelDB.put('a', { n: 1 })
+  await levelDB.put('b', { n: 2 })
+  const sub = levelDB.sublevel('sub', { valueEncoding: 'json' })
+  await sub.put('c', { n: 3 })
+
+  const { data } = await exportToBuffer(sub)
+  const r1 = await levelDB.importFrom(stream.Readable.from([data]))
+  assert.ifError(r1.err)
+  assert.equal(r1.data, 1)
+  assert.deepEqual((await levelDB.get('c')).data, { n: 3 })
+
+  const corrupt = Buffer.from(data)
+  corrupt[corrupt.indexOf('{"n":3}') + 5] = 0x34
+  const r2 = await levelDB.importFrom(stream.Readable.from([corrupt]))
+  assert.equal(r2.err.type, 'async-level.export-format')
+  assert.ok(/checksum mismatch/.test(r2.err.message))
+
+  const truncated = data.slice(0, data.length - 1)
+  const r3 = await levelDB.importFrom(stream.Readable.from([truncated]))
+  assert.ok(/truncated/.test(r3.err.message))
+
+  const r4 = await levelDB.importFrom(
+    stream.Readable.from([Buffer.from('not an export')])
+  )
+  assert.ok(/missing header/.test(r4.err.message))
+
+  const r5 = await levelDB.importFrom(
+    stream.Readable.from([Buffer.from('not an export')]), { clear: true }
+  )
+  assert.ok(/missing header/.test(r5.err.message))
+  assert.equal((await levelDB.count()).data, 4, 'nothing was cleared')
+
+  await levelDB.close()
+  assert.end()
+})
+
+test('secondary indexes follow writes', async (assert) => {
+  const levelDB = AsyncLevel.memory({
+    valueEncoding: 'json',
+    keyEncoding: 'utf8'
+  })
+  await levelDB.open()
+  const users = levelDB.sublevel('users')
+  const byEmail = users.createIndex('email', (key, user) => user.email)
+  const byTag = users.createIndex('tags', (key, user) => user.tags)
+  assert.equal(users.index('email'), byEmail)
+
+  await users.put('u1', { email: 'a@x.com', tags: ['admin', 'dev'] })
+  await users.put('u2', { email: 'b@x.com', tags: ['dev'] })
+  await users.batch([
+    { type: 'put', key: 'u3', value: { email: 'c@x.com' } },
+    { type: 'put', key: 'u3', value: { email: 'd@x.com' } }
+  ])
+
+  const r1 = await byEmail.get('a@x.com')
+  assert.ifError(r1.err)
+  assert.deepEqual(r1.data.map((e) => [e.indexKey, e.key]), [
+    ['a@x.com', 'u1']
+  ])
+  assert.deepEqual(r1.data[0].value.tags, ['admin', 'dev'])
+  assert.deepEqual((await byEmail.get('c@x.com')).data, [])
+  assert.deepEqual((await byEmail.get('d@x.com')).data[0].key, 'u3')
+
+  const r2 = await byTag.get('dev')
+  assert.deepEqual(r2.data.map((e) => e.key), ['u1', 'u2'])
+
+  const { err } = await users.update('u1', (user) => {
+    return Object.assign({}, user, { email: 'z@x.com', tags: [] })
+  })
+  assert.ifError(err)
+  assert.deepEqual((await byEmail.get('a@x.com')).data, [])
+  assert.deepEqual((await byTag.get('dev')).data.map((e) => e.key), ['u2'])
+
+  await users.batch().del('u2').write()
+  const r3 = await byEmail.iterator({ gte: 'a', lt: 'z' }).all()
+  assert.deepEqual(r3.data.map((e) => e.indexKey), ['d@x.com'])
+
+  const r4 = await levelDB.transaction(async (tx) => {
+    const { data } = await tx.get('!users!u3')
+    tx.put('!users!u3', Object.assign({}, data, { email: 'e@x.com' }))
+  })
+  assert.ifError(r4.err)
+  assert.deepEqual((await byEmail.get('e@x.com')).data, [],
+    'root writes do not update sublevel indexes')
+  assert.deepEqual((await byEmail.get('d@x.com')).data, [],
+    'entries that no longer match the record are skipped')
+
+  const keys = []
+  for await (const { data } of byEmail.iterator({ reverse: true })) {
+    keys.push(data.indexKey)
+  }
+  assert.deepEqual(keys, ['z@x.com'])
+  assert.deepEqual((await users.keys().all()).data, ['u1', 'u3'])
+
+  await users.put('u3', { email: 'd@x.com' })
+  await users.clear({ gte: 'u3' })
+  await users.put('u3', { email: 'f@x.com' })
+  assert.deepEqual((await byEmail.get('d@x.com')).data, [],
+    'entries left by a range clear are skipped')
+  assert.equal((await byEmail.get('f@x.com')).data.length, 1)
+
+  const r5 = await users.put('bad', { email: 'a\u0000b' })
+  assert.ok(/0x00/.test(r5.err.message))
+
+  await levelDB.close()
+  assert.end()
+})
+
+test('rebuildIndex() backfills from a full scan', async (assert) => {
+  const levelDB = AsyncLevel.memory({
+    valueEncoding: 'json',
+    keyEncoding: 'utf8'
+  })
+  await levelDB.open()
+  const orders = levelDB.sublevel('orders')
+  for (let i = 0; i < 30; i++) {
+    await orders.put('o' + String(i).padStart(2, '0'), {
+      customer: 'c' + (i % 3)
+    })
+  }
+
+  orders.createIndex('customer', (key, order) => order.customer)
+  assert.deepEqual((await orders.index('customer').get('c1')).data, [])
+
+  const r1 = await orders.rebuildIndex('customer')
+  assert.ifError(r1.err)
+  assert.equal(r1.data, 30)
+
+  const r2 = await orders.index('customer').get('c1')
+  assert.equal(r2.data.length, 10)
+  assert.equal(r2.data[0].key, 'o01')
+
+  const r3 = await orders.index('customer').iterator({ limit: 3 }).all()
+  assert.deepEqual(r3.data.map((e) => e.key), ['o00', 'o03', 'o06'])
+
+  await orders.clear()
+  const r4 = await levelDB.keys().all()
+  assert.deepEqual(r4.data, [], 'clear() also clears the index')
+
+  await levelDB.close()
+  assert.end()
+})
+
+test('root indexes are hidden from root reads', async (assert) => {
+  const levelDB = AsyncLevel.memory({
+    keyEncoding: 'utf8',
+    valueEncoding: 'json'
+  })
+  await levelDB.open()
+  const iteratorOptions = []
+  const iterator = levelDB.leveldown.iterator
+  levelDB.leveldown.iterator = function (options) {
+    iteratorOptions.push(options)
+    return iterator.call(this, options)
+  }
+  await levelDB.values().all()
+  assert.equal(iteratorOptions[0].keys, false, 'no keys without indexes')
+
+  levelDB.createIndex('email', (key, user) => user.email)
+  await levelDB.put('u1', { email: 'a@x' })
+
+  const r1 = await levelDB.iterator().all()
+  assert.ifError(r1.err)
+  assert.deepEqual(r1.data, [{ key: 'u1', value: { email: 'a@x' } }])
+  assert.deepEqual((await levelDB.values().all()).data, [{ email: 'a@x' }])
+  assert.equal((await levelDB.count()).data, 1)
+
+  const r2 = await levelDB.rebuildIndex('email')
+  assert.ifError(r2.err)
+  assert.equal(r2.data, 1)
+
+  const exported = await exportToBuffer(levelDB)
+  assert.ifError(exported.err)
+  assert.equal(exported.count, 1)
+
+  const target = AsyncLevel.memory({
+    keyEncoding: 'utf8',
+    valueEncoding: 'json'
+  })
+  await target.open()
+  target.createIndex('email', (key, user) => user.email)
+  const r3 = await target.importFrom(stream.Readable.from([exported.data]))
+  assert.ifError(r3.err)
+  assert.equal(r3.data, 1)
+  const r4 = await target.index('email').get('a@x')
+  assert.deepEqual(r4.data.map((e) => e.key), ['u1'])
+
+  await target.close()
+
+  // Entries found by open() are hidden before createIndex()
+  await levelDB.close()
+  const reopened = new AsyncLevel(levelDB.leveldown, {
+    keyEncoding: 'utf8',
+    valueEncoding: 'json'
+  })
+  await reopened.open()
+  assert.deepEqual((await reopened.keys().all()).data, ['u1'])
+  await reopened.close()
+  assert.end()
+})
+
+test('sublevel indexes & root rebuildIndex()', async (assert) => {
+  const levelDB = AsyncLevel.memory({
+    keyEncoding: 'utf8',
+    valueEncoding: 'json'
+  })
+  await levelDB.open()
+  const users = levelDB.sublevel('users')
+  const byEmail = (key, user) => user.email
+  users.createIndex('email', byEmail)
+  // A root index named like the sublevel does not see its indexes
+  levelDB.createIndex('users', byEmail)
+  await users.put('u1', { email: 'a@x' })
+  await levelDB.sublevel('s').put('x', { email: 'b@x' })
+  await levelDB.put('r1', { email: 'c@x' })
+
+  const r1 = await levelDB.keys().all()
+  assert.deepEqual(r1.data, ['!s!x', '!users!u1', 'r1'])
+  assert.equal((await levelDB.count()).data, 3)
+  assert.equal((await exportToBuffer(levelDB)).count, 3)
+
+  const r2 = await levelDB.rebuildIndex('users')
+  assert.ifError(r2.err)
+  assert.equal(r2.data, 1, 'only the records of the root are indexed')
+  const r3 = await levelDB.index('users').iterator().all()
+  assert.deepEqual(r3.data.map((e) => e.key), ['r1'])
+
+  const r4 = await users.rebuildIndex('email')
+  assert.ifError(r4.err)
+  assert.equal(r4.data, 1)
+  const r5 = await users.index('email').get('a@x')
+  assert.deepEqual(r5.data.map((e) => e.key), ['u1'])
+
+  await levelDB.close()
+  assert.end()
+})
+
+test('cache option caches decoded values of get()', async (assert) => {
+  let decodes = 0
+  const levelDB = AsyncLevel.memory({
+    keyEncoding: 'utf8',
+    encode: JSON.stringify,
+    decode: (value) => {
+      decodes++
+      return JSON.parse(value)
+    },
+    cache: { maxEntries: 2, negative: true }
+  })
+  await levelDB.open()
+  await levelDB.batch([
+    { type: 'put', key: 'a', value: { n: 1 } },
+    { type: 'put', key: 'b', value: { n: 2 } },
+    { type: 'put', key: 'c', value: { n: 3 } }
+  ])
+
+  assert.deepEqual((await levelDB.get('a')).data, { n: 1 })
+  assert.deepEqual((await levelDB.get('a')).data, { n: 1 })
+  assert.equal(decodes, 1, 'the second get() is served from the cache')
+
+  const r1 = await levelDB.get('missing')
+  const r2 = await levelDB.get('missing')
+  assert.ok(r1.err.notFound && r2.err.notFound)
+  await levelDB.get('b')
+  assert.deepEqual(levelDB.cacheStats(), {
+    hits: 2, misses: 3, evictions: 1, entries: 2, bytes: 15
+  })
+
+  await levelDB.put('b', { n: 20 })
+  assert.deepEqual((await levelDB.get('b')).data, { n: 20 })
+  await levelDB.put('missing', { n: 4 })
+  assert.deepEqual((await levelDB.get('missing')).data, { n: 4 })
+
+  await levelDB.batch().del('missing').write()
+  assert.ok((await levelDB.get('missing')).err.notFound)
+  await levelDB.clear({ gte: 'b', lt: 'c' })
+  assert.ok((await levelDB.get('b')).err.notFound)
+
+  // A write that finishes during a read keeps the old value out
+  const pending = levelDB.get('c')
+  await levelDB.put('c', { n: 30 })
+  await pending
+  assert.deepEqual((await levelDB.get('c')).data, { n: 30 })
+
+  assert.equal(AsyncLevel.memory().cacheStats(), null)
+  await levelDB.close()
+  assert.end()
+})
+
+test('metrics & onOperation', async (assert) => {
+  const events = []
+  const levelDB = AsyncLevel.memory({
+    keyEncoding: 'utf8',
+    valueEncoding: 'utf8',
+    metrics: true,
+    onOperation: (event) => events.push(event)
+  })
+  await levelDB.open()
+  const sub = levelDB.sublevel('sub')
+
+  await levelDB.put('a', 'hello')
+  await sub.put('b', 'world')
+  await levelDB.get('a')
+  await levelDB.get('missing')
+  await levelDB.batch([{ type: 'del', key: 'a' }])
+  await levelDB.batch().put('c', 'x').write()
+  await levelDB.clear({ gte: 'z' })
+  await sub.iterator().all()
+  const itr = sub.iterator()
+  await itr.next()
+  await itr.close()
+
+  const metrics = levelDB.metrics()
+  const counts = {}
+  for (const op of Object.keys(metrics.operations)) {
+    counts[op] = metrics.operations[op].count
+  }
+  assert.deepEqual(counts, {
+    put: 2, get: 2, batch: 2, clear: 1, batchNext: 2, next: 1
+  })
+  assert.equal(metrics.operations.get.errors, 1)
+  assert.deepEqual(metrics.errors, { 'async-level.not-found': 1 })
+  // 'a' + 'hello', '!sub!b' + 'world', 'a', 'c' + 'x'
+  assert.equal(metrics.bytesEncoded, 6 + 11 + 1 + 2)
+  // 'hello', '!sub!b' + 'world' twice
+  assert.equal(metrics.bytesDecoded, 5 + 22)
+
+  const latency = metrics.operations.get.latency
+  assert.equal(latency.count, 2)
+  assert.ok(latency.p50 <= latency.p99 && latency.p99 <= latency.max)
+  assert.equal(
+    latency.buckets.reduce((sum, bucket) => sum + bucket.count, 0), 2
+  )
+
+  assert.deepEqual(events.slice(0, 4).map((e) => [e.op, e.key]), [
+    ['put', 'a'], ['put', 'b'], ['get', 'a'], ['get', 'missing']
+  ])
+  assert.ok(events[3].err.notFound)
+  assert.ok(events.every((e) => e.durationMs >= 0))
+
+  assert.equal(AsyncLevel.memory().metrics(), null)
+  await levelDB.close()
+  assert.end()
+})
+
+test('diagnostics channel', { skip: !hasSubscribe }, async (assert) => {
+  const published = []
+  const onPublish = (event) => published.push([event.op, event.key])
+  diagnosticsChannel.subscribe('async-level:test', onPublish)
+
+  const levelDB = AsyncLevel.memory({
+    keyEncoding: 'utf8',
+    diagnosticsChannel: 'async-level:test'
+  })
+  await levelDB.open()
+  await levelDB.put('a', 'hello')
+  await levelDB.get('a')
+  diagnosticsChannel.unsubscribe('async-level:test', onPublish)
+  await levelDB.del('a')
+
+  assert.deepEqual(published, [['put', 'a'], ['get', 'a']])
+  await levelDB.close()
+  assert.end()
+})
+
+test('compression option compresses encoded values', async (assert) => {
+  const doc = { items: new Array(200).fill({ name: 'item', tags: ['a'] }) }
+  const rawGet = (db, key) => util.promisify(
+    (cb) => db.leveldown.get(key, cb)
+  )()
+
+  for (const algorithm of ['gzip', 'deflate', 'brotli']) {
+    const levelDB = AsyncLevel.memory({
+      keyEncoding: 'utf8',
+      valueEncoding: 'json',
+      compression: { algorithm, threshold: 64 }
+    })
+    await levelDB.open()
+    const sub = levelDB.sublevel('sub')
+
+    await levelDB.put('big', doc)
+    await levelDB.batch([{ type: 'put', key: 'small', value: { n: 1 } }])
+    await sub.put('big', doc)
+    await util.promisify((cb) => {
+      levelDB.leveldown.put('legacy', JSON.stringify({ n: 2 }), cb)
+    })()
+
+    const big = await rawGet(levelDB, 'big')
+    assert.ok(big.length < JSON.stringify(doc).length / 10, algorithm)
+    assert.notEqual(big[0], 0xf5)
+    assert.deepEqual(
+      await rawGet(levelDB, 'small'),
+      Buffer.concat([Buffer.from([0xf5]), Buffer.from('{"n":1}')])
+    )
+    assert.equal((await rawGet(levelDB, '!sub!big')).length, big.length)
+
+    assert.deepEqual((await levelDB.get('big')).data, doc)
+    assert.deepEqual((await levelDB.get('legacy')).data, { n: 2 })
+    assert.deepEqual((await sub.get('big')).data, doc)
+    assert.deepEqual((await levelDB.getMany(['small', 'legacy'])).data, [
+      { n: 1 }, { n: 2 }
+    ])
+
+    const r1 = await levelDB.iterator({ gte: 'a', lt: 'z' }).all()
+    assert.deepEqual(r1.data.map((e) => e.key), ['big', 'legacy', 'small'])
+    assert.deepEqual(r1.data[0].value, doc)
+    const itr = levelDB.values({ gte: 'small' })
+    assert.deepEqual((await itr.next()).value.data, { n: 1 })
+    await itr.close()
+
+    await levelDB.close()
+  }
+
+  const corrupt = AsyncLevel.memory({ compression: { algorithm: 'gzip' } })
+  await corrupt.open()
+  await util.promisify((cb) => {
+    corrupt.leveldown.put('bad', Buffer.from([0xf6, 1, 2, 3]), cb)
+  })()
+  const r2 = await corrupt.get('bad')
+  assert.equal(r2.err.type, 'async-level.encoding')
+  await corrupt.close()
+  assert.end()
+})
+
+test('encryption option encrypts values & keys', async (assert) => {
+  const k1 = Buffer.alloc(32, 1)
+  const k2 = Buffer.alloc(32, 2)
+  const rawGet = (db, key) => util.promisify(
+    (cb) => db.leveldown.get(key, cb)
+  )()
+  const rawPut = (db, key, value) => util.promisify(
+    (cb) => db.leveldown.put(key, value, cb)
+  )()
+
+  const levelDB = AsyncLevel.memory({
+    keyEncoding: 'utf8',
+    valueEncoding: 'json',
+    compression: { threshold: 0 },
+    encryption: { keyId: 'k1', keys: { k1 } }
+  })
+  await levelDB.open()
+  await levelDB.put('a', { secret: 'alice' })
+  await levelDB.batch([{ type: 'put', key: 'b', value: { secret: 'bob' } }])
+
+  const raw = await rawGet(levelDB, 'a')
+  assert.equal(raw[0], 0xf9)
+  assert.equal(raw.slice(2, 4).toString(), 'k1')
+  assert.ok(!raw.includes('alice'))
+  await levelDB.put('a', { secret: 'alice' })
+  assert.notDeepEqual(
+    raw, await rawGet(levelDB, 'a'), 'every write uses a new IV'
+  )
+  assert.deepEqual((await levelDB.get('a')).data, { secret: 'alice' })
+  await levelDB.close()
+
+  // Rotate to k2, values written with k1 stay readable
+  const rotated = new AsyncLevel(levelDB.leveldown, {
+    keyEncoding: 'utf8',
+    valueEncoding: 'json',
+    compression: { threshold: 0 },
+    encryption: { keyId: 'k2', keys: { k1, k2 } }
+  })
+  await rotated.open()
+  await rotated.put('c', { secret: 'carol' })
+  assert.equal((await rawGet(rotated, 'c')).slice(2, 4).toString(), 'k2')
+  const r1 = await rotated.iterator().all()
+  assert.deepEqual(
+    r1.data.map((e) => e.value.secret), ['alice', 'bob', 'carol']
+  )
+
+  const tampered = Buffer.from(await rawGet(rotated, 'b'))
+  tampered[tampered.length - 1] ^= 1
+  await rawPut(rotated, 'b', tampered)
+  const r2 = await rotated.get('b')
+  assert.equal(r2.err.name, 'DecryptionError')
+  assert.equal(r2.err.type, 'async-level.decryption')
+  const r3 = await rotated.iterator({ gte: 'b' }).next()
+  assert.equal(r3.value.err.type, 'async-level.decryption')
+
+  await rawPut(rotated, 'plain', '{"secret":"dave"}')
+  assert.equal((await rotated.get('plain')).err.type, 'async-level.decryption')
+  await rotated.close()
+
+  const withoutK1 = new AsyncLevel(levelDB.leveldown, {
+    valueEncoding: 'json',
+    encryption: { keyId: 'k2', keys: { k2 }, allowUnencrypted: true }
+  })
+  await withoutK1.open()
+  assert.ok(/unknown key id k1/.test((await withoutK1.get('a')).err.message))
+  assert.deepEqual((await withoutK1.get('plain')).data, { secret: 'dave' })
+  await withoutK1.close()
+
+  const keysDB = AsyncLevel.memory({
+    keyEncoding: 'utf8',
+    valueEncoding: 'utf8',
+    encryption: { keyId: 'k1', keys: { k1 }, encryptKeys: true }
+  })
+  await keysDB.open()
+  const sub = keysDB.sublevel('people')
+  await sub.put('alice@example.com', 'x')
+  await sub.put('bob@example.com', 'y')
+  assert.equal((await sub.get('alice@example.com')).data, 'x')
+  const rawItr = keysDB.leveldown.iterator({ values: false })
+  const rawKeys = []
+  let rawKey
+  while ((rawKey = await new Promise((resolve, reject) => {
+    rawItr.next((err, key) => err ? reject(err) : resolve(key))
+  })) !== undefined) rawKeys.push(rawKey)
+  await util.promisify((cb) => rawItr.end(cb))()
+  assert.equal(rawKeys.length, 2)
+  assert.ok(rawKeys.every((key) => {
+    return key.slice(0, 8).toString() === '!people!' &&
+      key[8] === 0xf9 && !key.includes('example')
+  }), 'sublevel prefixes stay readable, keys are encrypted')
+  const r5 = await sub.keys().all()
+  assert.deepEqual(r5.data.sort(), ['alice@example.com', 'bob@example.com'])
+  assert.throws(() => sub.createIndex('x', () => 'x'), /encryptKeys/)
+
+  await keysDB.put('root', 'z')
+  const r6 = await keysDB.iterator().all()
+  assert.ifError(r6.err)
+  assert.deepEqual(r6.data.map((e) => e.key).sort(), [
+    '!people!alice@example.com', '!people!bob@example.com', 'root'
+  ], 'the root reads the keys of sublevels')
+  const exported = await exportToBuffer(keysDB)
+  assert.ifError(exported.err)
+  assert.equal(exported.count, 3)
+
+  const rekeyed = AsyncLevel.memory({
+    keyEncoding: 'utf8',
+    valueEncoding: 'utf8',
+    encryption: { keyId: 'k2', keys: { k2 }, encryptKeys: true }
+  })
+  await rekeyed.open()
+  const r7 = await rekeyed.importFrom(stream.Readable.from([exported.data]))
+  assert.ifError(r7.err)
+  const rekeyedSub = rekeyed.sublevel('people')
+  assert.equal((await rekeyedSub.get('bob@example.com')).data, 'y')
+  assert.equal((await rekeyed.get('root')).data, 'z')
+  await rekeyed.close()
+  await keysDB.close()
+  assert.end()
+})
+
+async function exportToBuffer (db, options) {
+  const pass = new stream.PassThrough()
+  const parts = []
+  pass.on('data', (chunk) => parts.push(chunk))
+  const { err, data } = await db.exportTo(pass, options)
+  return { err, count: data, data: Buffer.concat(parts) }
+}
+
+function * chunks (buf, size) {
+  for (let i = 0; i < buf.length; i += size) {
+    yield buf.slice(i, i + size)
+  }
+}
+
 async function drainIterator (itr) {
   const values = []
   let result